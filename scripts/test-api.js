@@ -4,7 +4,13 @@
  * Tests all new endpoints with sample data
  */
 
+const crypto = require('crypto');
+
 const API_URL = process.env.API_URL || 'http://localhost:8787';
+const DEVICE_ID = process.env.DEVICE_ID || 'test-device';
+const DEVICE_SECRET = process.env.DEVICE_SECRET; // Needed when DEVICE_AUTH=required
+const API_TOKEN = process.env.API_TOKEN; // Admin token, needed when AUTH_MODE=required
+const authHeaders = API_TOKEN ? { Authorization: `Bearer ${API_TOKEN}` } : {};
 
 const colors = {
   reset: '\x1b[0m',
@@ -19,6 +25,24 @@ function log(msg, color = 'reset') {
   console.log(`${colors[color]}${msg}${colors.reset}`);
 }
 
+// Signed JSON headers for ingest routes (plain JSON when no secret is set)
+function ingestHeaders(body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (!DEVICE_SECRET) return headers;
+
+  const timestamp = Date.now().toString();
+  const nonce = crypto.randomUUID();
+  return {
+    ...headers,
+    'X-Device-Id': DEVICE_ID,
+    'X-Timestamp': timestamp,
+    'X-Nonce': nonce,
+    'X-Signature': crypto.createHmac('sha256', DEVICE_SECRET)
+      .update(`${timestamp}.${nonce}.${body}`)
+      .digest('hex')
+  };
+}
+
 async function test(name, fn) {
   process.stdout.write(`\n${name}... `);
   try {
@@ -44,28 +68,39 @@ async function testGetSessionSalt() {
   const start = '2025-10-01T09:00:00+01:00';
   const url = `${API_URL}/session/salt?classId=${classId}&start=${encodeURIComponent(start)}`;
   
-  const response = await fetch(url);
+  const response = await fetch(url, { headers: authHeaders });
   const data = await response.json();
   
   if (!data.sessionSalt) throw new Error('No session salt returned');
-  log(`   Salt: ${data.sessionSalt.slice(0, 16)}...`, 'cyan');
+  log(`   Salt: ${data.sessionSalt.slice(0, 16)}... (version ${data.saltVersion})`, 'cyan');
 }
 
 async function testSubmitAttendance() {
+  // Taps are graded against the session, so tap two minutes after its start
+  const scheduleResponse = await fetch(`${API_URL}/schedule/math-9a`, { headers: authHeaders });
+  const session = (await scheduleResponse.json()).sessions?.find(s => s.id === '2025-10-01-0900');
+  if (!session) throw new Error('Session 2025-10-01-0900 not in schedule');
+
   const payload = {
     classId: 'math-9a',
-    session: '2025-10-01-0900',
+    session: session.id,
     uidHash: '0x' + 'a'.repeat(64), // Fake hash for testing
-    ts: Date.now()
+    ts: Date.parse(session.startIso) + 2 * 60000
   };
   
+  const body = JSON.stringify(payload);
   const response = await fetch(`${API_URL}/ingest/attendance`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
+    headers: ingestHeaders(body),
+    body
   });
   
   const data = await response.json();
+  if (data.status === 'collected') {
+    // ATTENDANCE_ANCHORING=merkle: anchored with the session when it closes (step 7)
+    log(`   Status: ${data.attendanceStatus} (collected${data.duplicate ? ', repeat tap' : `, leaf ${data.leafIndex}`})`, 'cyan');
+    return;
+  }
   if (data.status !== 'success') throw new Error('Attendance submission failed');
   log(`   Status: ${data.attendanceStatus}`, 'cyan');
   log(`   Consensus: ${data.consensusTimestamp.slice(0, 20)}...`, 'cyan');
@@ -76,7 +111,7 @@ async function testSubmitTelemetry() {
     type: 'telemetry',
     classId: 'math-9a',
     session: '2025-10-01-0900',
-    deviceId: 'test-device',
+    deviceId: DEVICE_ID,
     sensors: {
       tempC: 23.5,
       humPct: 45.2,
@@ -88,10 +123,11 @@ async function testSubmitTelemetry() {
     ts: Date.now()
   };
   
+  const body = JSON.stringify(payload);
   const response = await fetch(`${API_URL}/ingest/telemetry`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
+    headers: ingestHeaders(body),
+    body
   });
   
   const data = await response.json();
@@ -101,7 +137,7 @@ async function testSubmitTelemetry() {
 
 async function testGetSchedule() {
   const classId = 'math-9a';
-  const response = await fetch(`${API_URL}/schedule/${classId}`);
+  const response = await fetch(`${API_URL}/schedule/${classId}`, { headers: authHeaders });
   const data = await response.json();
   
   if (!data.sessions) throw new Error('No sessions returned');
@@ -110,7 +146,7 @@ async function testGetSchedule() {
 }
 
 async function testGetClasses() {
-  const response = await fetch(`${API_URL}/classes`);
+  const response = await fetch(`${API_URL}/classes`, { headers: authHeaders });
   const data = await response.json();
   
   if (!data.classes) throw new Error('No classes returned');
@@ -128,7 +164,7 @@ async function testCloseSession() {
   
   const response = await fetch(`${API_URL}/admin/closeSession`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...authHeaders },
     body: JSON.stringify(payload)
   });
   
@@ -139,6 +175,35 @@ async function testCloseSession() {
   log(`   Marked absent: ${data.markedAbsent}`, 'cyan');
 }
 
+async function testInclusionProof() {
+  const uidHash = '0x' + 'a'.repeat(64); // Tap from step 3
+  const response = await fetch(`${API_URL}/attendance/math-9a/2025-10-01-0900/proofs/${uidHash}`, { headers: authHeaders });
+  const data = await response.json();
+
+  if (response.status === 404 && /not Merkle-anchored/.test(data.error)) {
+    log('   Skipped: server runs ATTENDANCE_ANCHORING=per_tap', 'yellow');
+    return;
+  }
+  if (!data.proofs?.length) throw new Error(data.error || 'No inclusion proof returned');
+  if (!data.anchor.sequenceNumber) throw new Error('Session anchor is not on the ledger yet');
+
+  const verify = async leaf => {
+    const res = await fetch(`${API_URL}/verify/inclusion`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ topicId: data.anchor.topicId, sequenceNumber: data.anchor.sequenceNumber, leaf, proof: data.proofs[0].proof })
+    });
+    return (await res.json()).valid;
+  };
+
+  const { leaf } = data.proofs[0];
+  if (await verify(leaf) !== true) throw new Error('Inclusion proof did not verify');
+  if (await verify({ ...leaf, status: leaf.status === 'late' ? 'present_on_time' : 'late' }) !== false) {
+    throw new Error('Tampered record verified');
+  }
+  log(`   Root: ${data.anchor.root.slice(0, 16)}... (${data.anchor.leafCount} records, leaf ${data.proofs[0].leafIndex})`, 'cyan');
+}
+
 async function runTests() {
   log('═'.repeat(60), 'blue');
   log('🧪 EduAir Enhanced API Tests', 'blue');
@@ -155,6 +220,7 @@ async function runTests() {
   results.push(await test('5. Get Schedule', testGetSchedule));
   results.push(await test('6. Get Classes', testGetClasses));
   results.push(await test('7. Close Session (mark absentees)', testCloseSession));
+  results.push(await test('8. Merkle Inclusion Proof', testInclusionProof));
   
   // Summary
   const passed = results.filter(r => r).length;
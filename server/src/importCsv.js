@@ -0,0 +1,64 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { createClassStore } from './lib/classStore.js';
+import { IMPORT_KINDS, planImport, summarizeChanges, formatChange } from './lib/csvImport.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config();
+
+// Usage: npm run import:csv -- <roster|timetable> <file.csv> [--class <classId>] [--replace] [--apply]
+function importCsv() {
+  const args = process.argv.slice(2);
+  const [kind, file] = args.filter((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--class');
+  const classIndex = args.indexOf('--class');
+  const classId = classIndex !== -1 ? args[classIndex + 1] : undefined;
+  const replace = args.includes('--replace');
+  const apply = args.includes('--apply');
+
+  if (!IMPORT_KINDS.includes(kind) || !file) {
+    console.log('Usage: npm run import:csv -- <roster|timetable> <file.csv> [--class <classId>] [--replace] [--apply]');
+    console.log('   --class    class for every row when the CSV has no classId column');
+    console.log('   --replace  remove students/sessions missing from the CSV (in the classes it covers)');
+    console.log('   --apply    write the changes (default is a dry run)');
+    process.exit(1);
+  }
+
+  const dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+  const store = createClassStore({
+    scheduleFile: path.join(dataDir, 'schedule.json'),
+    rosterFile: path.join(dataDir, 'roster.json')
+  });
+
+  const text = fs.readFileSync(file, 'utf-8');
+  const { changes, errors, next } = planImport(kind, store.snapshot(), text, { classId, replace });
+
+  console.log(`📄 ${kind} import from ${file}${apply ? '' : ' (dry run)'}`);
+  changes.forEach(change => console.log(`   ${formatChange(change)}`));
+  if (changes.length === 0) console.log('   No changes');
+
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} error(s), nothing applied:`);
+    errors.forEach(({ line, error }) => console.error(`   ${line ? `line ${line}: ` : ''}${error}`));
+    process.exit(1);
+  }
+
+  const summary = Object.entries(summarizeChanges(changes)).map(([action, n]) => `${n} ${action}`).join(', ');
+  if (!apply) {
+    console.log(`ℹ️  ${summary || 'Nothing to do'}. Re-run with --apply to write the changes.`);
+    return;
+  }
+
+  if (changes.length > 0) store.applySnapshot(next);
+  console.log(`✅ Applied: ${summary || 'nothing to do'}`);
+}
+
+try {
+  importCsv();
+} catch (error) {
+  console.error('❌ Error importing CSV:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+import dotenv from 'dotenv';
+import { signToken, ROLES } from './lib/auth.js';
+
+dotenv.config();
+
+// Usage: npm run token:issue -- <role> <subject> [classIds,comma,separated] [days]
+function issueToken() {
+  const [role, sub, classList = '', days = '30'] = process.argv.slice(2);
+  const { AUTH_SECRET } = process.env;
+
+  if (!AUTH_SECRET) {
+    throw new Error('Missing AUTH_SECRET in .env');
+  }
+
+  if (!ROLES.includes(role) || !sub) {
+    console.log('Usage: npm run token:issue -- <role> <subject> [classIds] [days]');
+    console.log(`   role: ${ROLES.join(' | ')}`);
+    console.log('   e.g.  npm run token:issue -- teacher ms-smith math-9a,science-8b');
+    process.exit(1);
+  }
+
+  const classIds = classList.split(',').map(c => c.trim()).filter(Boolean);
+  const token = signToken(AUTH_SECRET, { sub, role, classIds }, parseInt(days) * 24 * 3600);
+
+  console.log(`✅ ${role} token for ${sub}${classIds.length ? ` (${classIds.join(', ')})` : ''}, valid ${days} days:`);
+  console.log(token);
+}
+
+try {
+  issueToken();
+} catch (error) {
+  console.error('❌ Error issuing token:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,292 @@
+/**
+ * Threshold alert rules
+ * Rules such as "CO₂ above 1000 ppm for 5 minutes in math-9a" are evaluated
+ * on every incoming telemetry reading. An alert fires once when the condition
+ * has held for the sustained duration and resolves when the value is back past
+ * the threshold by the hysteresis margin, so a reading hovering around the
+ * threshold does not flap. Notifications are skipped during quiet hours (and
+ * so is the resolution of an alert that was triggered in quiet hours), but
+ * every transition is still published to the alerts topic.
+ */
+
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+import { ID_PATTERN, storeError } from './classStore.js';
+import { SENSOR_SCHEMA } from './sensors.js';
+import { zoneOffsetMinutes } from './time.js';
+
+export const ALERT_OPERATORS = ['above', 'below'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const RULE_FIELDS = ['id', 'classId', 'deviceId', 'sensor', 'op', 'threshold', 'sustainedSec', 'hysteresis', 'quietHours', 'channels', 'enabled'];
+
+/**
+ * Validate an alert rule
+ * @param {object} rule
+ * @param {string} rule.id
+ * @param {string} [rule.classId] - Only readings of this class (default: any)
+ * @param {string} [rule.deviceId] - Only readings of this device/room (default: any)
+ * @param {string} rule.sensor - Canonical sensor key, e.g. "co2ppm"
+ * @param {string} rule.op - "above" | "below"
+ * @param {number} rule.threshold
+ * @param {number} [rule.sustainedSec=0] - How long the condition must hold before firing
+ * @param {number} [rule.hysteresis=0] - Margin past the threshold needed to resolve
+ * @param {object} [rule.quietHours] - { start: "HH:MM", end: "HH:MM" } in the class timezone
+ * @param {string[]} [rule.channels] - Notification channels
+ * @param {string[]} channelNames - Channels configured on this server
+ * @returns {string|null} Error message, or null when valid
+ */
+export function alertRuleError(rule, channelNames) {
+  const { id, classId, deviceId, sensor, op, threshold, sustainedSec = 0, hysteresis = 0, quietHours, channels = [] } = rule;
+
+  if (!ID_PATTERN.test(id || '')) return 'id must be letters, digits, ".", "_" or "-"';
+  if (classId !== undefined && classId !== null && typeof classId !== 'string') return 'classId must be a string';
+  if (deviceId !== undefined && deviceId !== null && typeof deviceId !== 'string') return 'deviceId must be a string';
+  if (!SENSOR_SCHEMA[sensor]) return `Unknown sensor "${sensor}"`;
+  if (!ALERT_OPERATORS.includes(op)) return `op must be one of: ${ALERT_OPERATORS.join(', ')}`;
+  if (!Number.isFinite(threshold)) return 'threshold must be a number';
+  if (!Number.isInteger(sustainedSec) || sustainedSec < 0) return 'sustainedSec must be a non-negative integer';
+  if (!Number.isFinite(hysteresis) || hysteresis < 0) return 'hysteresis must be a non-negative number';
+
+  if (quietHours !== undefined && quietHours !== null) {
+    if (!TIME_PATTERN.test(quietHours.start || '') || !TIME_PATTERN.test(quietHours.end || '')) {
+      return 'quietHours must be { "start": "HH:MM", "end": "HH:MM" }';
+    }
+  }
+
+  if (!Array.isArray(channels)) return 'channels must be an array';
+  const unknown = channels.find(name => !channelNames.includes(name));
+  if (unknown) return `Unknown channel "${unknown}" (configured: ${channelNames.join(', ')})`;
+  return null;
+}
+
+/**
+ * Whether an instant falls in quiet hours
+ * @param {number} ts - Unix timestamp in milliseconds
+ * @param {object} quietHours - { start: "HH:MM", end: "HH:MM" }; may wrap past midnight
+ * @param {string} timeZone - IANA timezone
+ * @returns {boolean}
+ */
+export function inQuietHours(ts, quietHours, timeZone) {
+  if (!quietHours) return false;
+
+  const toMinutes = time => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+  };
+  const local = ts + zoneOffsetMinutes(timeZone, ts) * 60000;
+  const minute = Math.floor((((local % 86400000) + 86400000) % 86400000) / 60000);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+/**
+ * Create the alert engine
+ * @param {object} options
+ * @param {string} options.rulesFile - JSON file holding the rules
+ * @param {string} options.stateFile - JSON file holding pending and active alerts
+ * @param {object} options.channels - name -> async (alert, rule) => void
+ * @param {Function} options.publish - async (alert) => void, records the alert on the ledger
+ * @param {Function} [options.timeZoneOf] - classId -> IANA timezone for quiet hours
+ * @returns {object} Engine
+ */
+export function createAlertEngine({ rulesFile, stateFile, channels, publish, timeZoneOf = () => 'UTC' }) {
+  const rules = readJsonFile(rulesFile, []);
+  const state = readJsonFile(stateFile, {}); // "ruleId|classId|deviceId" -> { since, active, alertId, triggeredAt, notified }
+  const channelNames = Object.keys(channels);
+
+  function saveRules() {
+    writeJsonFile(rulesFile, rules);
+  }
+
+  function saveState() {
+    writeJsonFile(stateFile, state);
+  }
+
+  function validate(rule) {
+    const error = alertRuleError(rule, channelNames);
+    if (error) throw storeError(400, error);
+  }
+
+  function find(ruleId) {
+    const rule = rules.find(r => r.id === ruleId);
+    if (!rule) throw storeError(404, `Alert rule ${ruleId} not found`);
+    return rule;
+  }
+
+  // Forget pending/active state of a rule (changed or removed)
+  function resetRule(ruleId) {
+    for (const key of Object.keys(state)) {
+      if (key.startsWith(`${ruleId}|`)) delete state[key];
+    }
+    saveState();
+  }
+
+  const matches = (rule, reading) =>
+    rule.enabled !== false &&
+    (!rule.classId || rule.classId === reading.classId) &&
+    (!rule.deviceId || rule.deviceId === reading.deviceId) &&
+    Number.isFinite(reading.sensors?.[rule.sensor]);
+
+  // Publish an alert transition and notify the rule's channels
+  async function dispatch(alert, rule) {
+    try {
+      await publish(alert);
+    } catch (error) {
+      console.warn(`⚠️  Could not publish alert ${alert.alertId}:`, error.message);
+    }
+    if (alert.quiet) return;
+
+    for (const name of rule.channels?.length ? rule.channels : ['log']) {
+      if (!channels[name]) {
+        console.warn(`⚠️  Alert channel "${name}" is not configured`);
+        continue;
+      }
+      try {
+        await channels[name](alert, rule);
+      } catch (error) {
+        console.warn(`⚠️  Alert channel "${name}" failed:`, error.message);
+      }
+    }
+  }
+
+  return {
+    channelNames,
+
+    listRules() {
+      return rules.map(rule => ({ ...rule }));
+    },
+
+    addRule(rule) {
+      const entry = {
+        sustainedSec: 0,
+        hysteresis: 0,
+        channels: ['log'],
+        enabled: true,
+        ...Object.fromEntries(Object.entries(rule).filter(([key]) => RULE_FIELDS.includes(key)))
+      };
+      validate(entry);
+      if (rules.some(r => r.id === entry.id)) throw storeError(409, `Alert rule ${entry.id} already exists`);
+
+      rules.push(entry);
+      saveRules();
+      return { ...entry };
+    },
+
+    updateRule(ruleId, changes) {
+      const rule = find(ruleId);
+      const updated = { ...rule };
+      for (const key of RULE_FIELDS) {
+        if (key !== 'id' && key in changes) updated[key] = changes[key];
+      }
+      validate(updated);
+
+      Object.assign(rule, updated);
+      saveRules();
+      resetRule(ruleId);
+      return { ...rule };
+    },
+
+    removeRule(ruleId) {
+      find(ruleId);
+      rules.splice(rules.findIndex(r => r.id === ruleId), 1);
+      saveRules();
+      resetRule(ruleId);
+      return { removed: ruleId };
+    },
+
+    /**
+     * Active alerts
+     * @param {string} [classId] - Only this class
+     * @returns {object[]} [{ alertId, ruleId, classId, deviceId, triggeredAt }]
+     */
+    active(classId) {
+      return Object.entries(state)
+        .filter(([, entry]) => entry.active)
+        .map(([key, entry]) => {
+          const [ruleId, alertClassId, deviceId] = key.split('|');
+          return { alertId: entry.alertId, ruleId, classId: alertClassId, deviceId, value: entry.value, triggeredAt: entry.triggeredAt };
+        })
+        .filter(alert => !classId || alert.classId === classId);
+    },
+
+    /**
+     * Evaluate a telemetry reading against every matching rule. State changes
+     * are applied synchronously (so concurrent readings cannot fire twice);
+     * publishing and notifications happen afterwards.
+     * @param {object} reading - Telemetry payload { classId, deviceId, sensors, ts }
+     * @returns {Promise<object[]>} Alert transitions caused by this reading
+     */
+    async evaluate(reading) {
+      const transitions = [];
+      const ts = reading.ts || Date.now();
+      let changed = false;
+
+      for (const rule of rules) {
+        if (!matches(rule, reading)) continue;
+
+        const key = `${rule.id}|${reading.classId}|${reading.deviceId}`;
+        const value = reading.sensors[rule.sensor];
+        const entry = state[key] || { since: null, active: false };
+        const breached = rule.op === 'above' ? value > rule.threshold : value < rule.threshold;
+        const cleared = rule.op === 'above'
+          ? value <= rule.threshold - rule.hysteresis
+          : value >= rule.threshold + rule.hysteresis;
+
+        const quiet = inQuietHours(ts, rule.quietHours, timeZoneOf(reading.classId) || 'UTC');
+        let event = null;
+        if (!entry.active && !breached) {
+          // Condition broke off before the sustained duration
+          if (entry.since !== null) {
+            delete state[key];
+            changed = true;
+          }
+        } else if (!entry.active) {
+          if (entry.since === null) {
+            entry.since = ts;
+            state[key] = entry;
+            changed = true;
+          }
+          if (ts - entry.since >= rule.sustainedSec * 1000) {
+            Object.assign(entry, { active: true, alertId: crypto.randomUUID(), triggeredAt: ts, value, notified: !quiet });
+            event = 'triggered';
+          }
+        } else if (cleared) {
+          delete state[key];
+          event = 'resolved';
+        }
+
+        if (event) {
+          changed = true;
+          const alert = {
+            type: 'alert',
+            alertId: entry.alertId,
+            event,
+            ruleId: rule.id,
+            classId: reading.classId,
+            deviceId: reading.deviceId,
+            sensor: rule.sensor,
+            op: rule.op,
+            threshold: rule.threshold,
+            value,
+            since: entry.since,
+            // Nobody was told about an alert triggered in quiet hours, so its resolution stays quiet too
+            quiet: quiet || entry.notified === false,
+            ts
+          };
+          transitions.push({ alert, rule });
+        }
+      }
+
+      if (changed) saveState();
+      for (const { alert, rule } of transitions) {
+        console.log(`🚨 Alert ${alert.event}: ${alert.ruleId} (${alert.sensor}=${alert.value}) in ${alert.classId}/${alert.deviceId}${alert.quiet ? ' [quiet hours]' : ''}`);
+        await dispatch(alert, rule);
+      }
+      return transitions.map(({ alert }) => alert);
+    }
+  };
+}
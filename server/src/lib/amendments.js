@@ -0,0 +1,66 @@
+/**
+ * Attendance amendments
+ * Corrections (excused absences, reader failures, teacher fixes) are new
+ * ledger messages referencing the original record by its topic sequence
+ * number; the original is never rewritten, so the full history stays auditable.
+ * Records anchored in a Merkle batch have no sequence number of their own and
+ * are identified by uidHash (amends is then null).
+ */
+
+import crypto from 'crypto';
+
+export const AMENDMENT_REASONS = ['excused', 'medical', 'reader_failure', 'teacher_correction', 'data_entry_error', 'other'];
+
+export const AMENDMENT_STATUSES = ['present_on_time', 'late', 'very_late', 'excused_absence', 'absent_marked', 'left_early'];
+
+/**
+ * Validate an amendment request
+ * @param {object} body
+ * @param {number} [body.sequenceNumber] - Sequence number of the original record
+ * @param {string} [body.uidHash] - Hash of the original record (instead of sequenceNumber)
+ * @param {string} body.status - Corrected status
+ * @param {string} body.reasonCode - One of AMENDMENT_REASONS
+ * @param {string} [body.note] - Free-text note (no student names: it is published)
+ * @returns {string|null} Error message, or null when valid
+ */
+export function amendmentError({ sequenceNumber, uidHash, status, reasonCode, note }) {
+  if (uidHash !== undefined) {
+    if (typeof uidHash !== 'string' || !uidHash) return 'uidHash must be a string';
+  } else if (!Number.isInteger(sequenceNumber) || sequenceNumber <= 0) {
+    return 'sequenceNumber (or uidHash) of the original record is required';
+  }
+  if (!AMENDMENT_STATUSES.includes(status)) {
+    return `status must be one of: ${AMENDMENT_STATUSES.join(', ')}`;
+  }
+  if (!AMENDMENT_REASONS.includes(reasonCode)) {
+    return `reasonCode must be one of: ${AMENDMENT_REASONS.join(', ')}`;
+  }
+  if (note !== undefined && (typeof note !== 'string' || note.length > 280)) {
+    return 'note must be a string of at most 280 characters';
+  }
+  return null;
+}
+
+/**
+ * Build the ledger payload of an amendment
+ * @param {object} original - { classId, session, uidHash, sequenceNumber, status }
+ * @param {object} amendment - { status, reasonCode, note }
+ * @param {string} amendedBy - "role:subject" of the amending user
+ * @returns {object} attendance_amendment payload
+ */
+export function buildAmendment(original, { status, reasonCode, note }, amendedBy) {
+  return {
+    type: 'attendance_amendment',
+    amendmentId: crypto.randomUUID(),
+    classId: original.classId,
+    session: original.session,
+    uidHash: original.uidHash,
+    amends: original.sequenceNumber ?? null,
+    previousStatus: original.status,
+    status,
+    reasonCode,
+    ...(note && { note }),
+    amendedBy,
+    ts: Date.now()
+  };
+}
@@ -0,0 +1,233 @@
+/**
+ * Durable attendance state
+ * Persists which hashes were recorded per session and can be rebuilt
+ * from the attendance topic history, so closing a session is correct
+ * across restarts and multiple server instances.
+ */
+
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+import { iterateTopic, decodeMessage } from './mirror.js';
+
+// Ledger message types that make up a student's attendance record
+export const ATTENDANCE_TYPES = ['attendance', 'attendance_checkout', 'attendance_presence', 'attendance_amendment'];
+
+/**
+ * Status of a record after its amendments (the latest amendment wins)
+ * @param {object} record - Stored record
+ * @returns {string}
+ */
+export function effectiveStatus(record) {
+  const amendments = record.amendments || [];
+  return amendments.length > 0 ? amendments[amendments.length - 1].status : record.status;
+}
+
+/**
+ * Build the session key used by the store
+ * @param {string} classId
+ * @param {string} session
+ * @returns {string}
+ */
+export function sessionKey(classId, session) {
+  return `${classId}:${session}`;
+}
+
+/**
+ * Create an attendance store
+ * @param {object} options
+ * @param {string} options.file - JSON file holding the state
+ * @param {object} options.reader - Ledger history reader
+ * @returns {object} Store
+ */
+export function createAttendanceStore({ file, reader }) {
+  // { sessions: { "classId:session": { [uidHash]: record } }, cursors: { [topicId]: lastSequence } }
+  // A record is the arrival, plus optional checkout, presence and amendments.
+  const state = readJsonFile(file, { sessions: {}, cursors: {} });
+  let syncing = null;
+
+  function save() {
+    writeJsonFile(file, state);
+  }
+
+  // Merge a record, keeping the earliest tap per hash.
+  // Returns true when the stored record changed.
+  function merge(record) {
+    const key = sessionKey(record.classId, record.session);
+    const session = state.sessions[key] || (state.sessions[key] = {});
+    const existing = session[record.uidHash];
+
+    if (!existing || record.ts < existing.ts) {
+      session[record.uidHash] = {
+        ...existing,
+        status: record.status,
+        minutesLate: record.minutesLate ?? null,
+        saltVersion: record.saltVersion ?? null,
+        ts: record.ts,
+        consensusTimestamp: record.consensusTimestamp || null,
+        sequenceNumber: record.sequenceNumber || null,
+        outboxId: record.outboxId || null
+      };
+      return true;
+    }
+
+    if (!existing.consensusTimestamp && record.consensusTimestamp && record.ts === existing.ts) {
+      existing.consensusTimestamp = record.consensusTimestamp;
+      existing.sequenceNumber = record.sequenceNumber;
+      return true;
+    }
+
+    return false;
+  }
+
+  // Merge a check-out (first one wins) or end-of-session presence entry
+  // into the arrival record. Returns true when the stored record changed.
+  function mergeFollowUp(record) {
+    const existing = state.sessions[sessionKey(record.classId, record.session)]?.[record.uidHash];
+    if (!existing) return false;
+
+    const field = record.type === 'attendance_checkout' ? 'checkout' : 'presence';
+    const current = existing[field];
+
+    if (!current) {
+      existing[field] = {
+        ...(field === 'checkout'
+          ? { ts: record.ts, minutesPresent: record.minutesPresent }
+          : { status: record.status, departureTs: record.departureTs, minutesPresent: record.minutesPresent }),
+        consensusTimestamp: record.consensusTimestamp || null,
+        sequenceNumber: record.sequenceNumber || null,
+        outboxId: record.outboxId || null
+      };
+      return true;
+    }
+
+    if (!current.consensusTimestamp && record.consensusTimestamp) {
+      current.consensusTimestamp = record.consensusTimestamp;
+      current.sequenceNumber = record.sequenceNumber;
+      return true;
+    }
+
+    return false;
+  }
+
+  // Append an amendment to the record it corrects, in ledger order.
+  // Returns true when the stored record changed.
+  function mergeAmendment(record) {
+    const existing = state.sessions[sessionKey(record.classId, record.session)]?.[record.uidHash];
+    if (!existing) return false;
+
+    const amendments = existing.amendments || (existing.amendments = []);
+    const current = amendments.find(a => a.amendmentId === record.amendmentId);
+
+    if (!current) {
+      amendments.push({
+        amendmentId: record.amendmentId,
+        amends: record.amends,
+        previousStatus: record.previousStatus,
+        status: record.status,
+        reasonCode: record.reasonCode,
+        note: record.note || null,
+        amendedBy: record.amendedBy,
+        ts: record.ts,
+        consensusTimestamp: record.consensusTimestamp || null,
+        sequenceNumber: record.sequenceNumber || null,
+        outboxId: record.outboxId || null
+      });
+      return true;
+    }
+
+    if (!current.consensusTimestamp && record.consensusTimestamp) {
+      current.consensusTimestamp = record.consensusTimestamp;
+      current.sequenceNumber = record.sequenceNumber;
+      return true;
+    }
+
+    return false;
+  }
+
+  function mergeAny(record) {
+    switch (record.type) {
+      case 'attendance_checkout':
+      case 'attendance_presence':
+        return mergeFollowUp(record);
+      case 'attendance_amendment':
+        return mergeAmendment(record);
+      default:
+        return merge(record);
+    }
+  }
+
+  return {
+    /**
+     * Record an accepted attendance, check-out or presence payload
+     * @param {object} payload - Payload (optionally with consensusTimestamp/sequenceNumber)
+     */
+    record(payload) {
+      if (mergeAny(payload)) save();
+    },
+
+    /**
+     * Get the record for one hash in a session
+     * @param {string} classId
+     * @param {string} session
+     * @param {string} uidHash
+     * @returns {object|null} Record
+     */
+    get(classId, session, uidHash) {
+      return state.sessions[sessionKey(classId, session)]?.[uidHash] || null;
+    },
+
+    /**
+     * Find the record published with a given topic sequence number
+     * @param {string} classId
+     * @param {string} session
+     * @param {number} sequenceNumber
+     * @returns {object|null} { uidHash, record }
+     */
+    findBySequence(classId, session, sequenceNumber) {
+      const records = state.sessions[sessionKey(classId, session)] || {};
+      const found = Object.entries(records).find(([, record]) => record.sequenceNumber === sequenceNumber);
+      return found ? { uidHash: found[0], record: found[1] } : null;
+    },
+
+    /**
+     * Get recorded hashes for a session
+     * @param {string} classId
+     * @param {string} session
+     * @returns {Map<string, object>} uidHash -> record
+     */
+    getSession(classId, session) {
+      return new Map(Object.entries(state.sessions[sessionKey(classId, session)] || {}));
+    },
+
+    /**
+     * Catch up with the attendance topic history (resumes from the last
+     * sequence number seen). Concurrent calls share one sync.
+     * @param {string} topicId - Attendance topic ID
+     * @returns {Promise<number>} Number of messages read
+     */
+    sync(topicId) {
+      if (!topicId) return Promise.resolve(0);
+      if (syncing) return syncing;
+
+      syncing = (async () => {
+        let count = 0;
+        try {
+          const after = state.cursors[topicId] || 0;
+          for await (const msg of iterateTopic(reader, topicId, after)) {
+            const decoded = decodeMessage(msg);
+            if (ATTENDANCE_TYPES.includes(decoded?.type) && decoded.classId && decoded.session && decoded.uidHash) {
+              mergeAny(decoded);
+            }
+            state.cursors[topicId] = msg.sequence_number;
+            count++;
+          }
+        } finally {
+          if (count > 0) save();
+          syncing = null;
+        }
+        return count;
+      })();
+
+      return syncing;
+    }
+  };
+}
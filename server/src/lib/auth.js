@@ -0,0 +1,172 @@
+/**
+ * API authentication and roles
+ * Tokens are HS256 JWTs issued locally (see issueToken.js and POST /auth/tokens).
+ *
+ * Roles:
+ *   admin   - everything
+ *   teacher - routes for the classIds listed in the token
+ *   device  - salt and schedule lookups (optionally scoped to classIds)
+ */
+
+import crypto from 'crypto';
+
+export const ROLES = ['admin', 'teacher', 'device'];
+export const TOKEN_ISSUER = 'eduair';
+
+function base64url(data) {
+  return Buffer.from(data).toString('base64url');
+}
+
+function hmacBase64url(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Issue a signed token
+ * @param {string} secret - AUTH_SECRET
+ * @param {object} claims
+ * @param {string} claims.sub - Subject (user or device ID)
+ * @param {string} claims.role - "admin" | "teacher" | "device"
+ * @param {string[]} [claims.classIds] - Class scope for teachers and devices
+ * @param {number} [expiresInSec=2592000] - Lifetime (default 30 days)
+ * @returns {string} JWT
+ */
+export function signToken(secret, { sub, role, classIds = [] }, expiresInSec = 30 * 24 * 3600) {
+  if (!sub) throw new Error('Missing token subject');
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}" (expected one of: ${ROLES.join(', ')})`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    iss: TOKEN_ISSUER,
+    sub,
+    role,
+    classIds,
+    iat: now,
+    exp: now + expiresInSec
+  }));
+
+  return `${header}.${payload}.${hmacBase64url(secret, `${header}.${payload}`)}`;
+}
+
+/**
+ * Verify a token and return its claims
+ * @param {string} secret - AUTH_SECRET
+ * @param {string} token - JWT
+ * @returns {object} Claims
+ * @throws {Error} When the token is malformed, forged or expired
+ */
+export function verifyToken(secret, token) {
+  const parts = (token || '').split('.');
+  if (parts.length !== 3) throw new Error('Malformed token');
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(hmacBase64url(secret, `${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+  if (claims.iss !== TOKEN_ISSUER) throw new Error('Unknown token issuer');
+  if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) throw new Error('Token expired');
+  if (!ROLES.includes(claims.role)) throw new Error('Unknown role');
+
+  return claims;
+}
+
+/**
+ * Check whether claims grant access to a class
+ * @param {object} claims - Verified token claims
+ * @param {string} classId
+ * @returns {boolean}
+ */
+export function canAccessClass(claims, classId) {
+  if (claims.role === 'admin') return true;
+  if (claims.role === 'device' && !claims.classIds?.length) return true;
+  return !!classId && (claims.classIds || []).includes(classId);
+}
+
+/**
+ * Classes a request may see: the requested class, or every class in the
+ * token when none was requested
+ * @param {object|null} claims - Verified token claims (null when auth is off)
+ * @param {string} [classId] - Requested class (already authorized)
+ * @returns {string[]|null} Class IDs to filter by, or null for all classes
+ */
+export function classScope(claims, classId) {
+  if (classId) return [classId];
+  if (!claims || claims.role === 'admin') return null;
+  if (claims.role === 'device' && !claims.classIds?.length) return null;
+  return claims.classIds || [];
+}
+
+/**
+ * Create the route authorizer
+ * @param {object} options
+ * @param {string} [options.secret] - AUTH_SECRET (required unless mode is "off")
+ * @param {string} [options.mode='required'] - "required" | "off"
+ * @returns {Function} authorize(roles, options) -> Express middleware
+ */
+export function createAuthorizer({ secret, mode = 'required' }) {
+  if (mode !== 'off' && !secret) {
+    throw new Error('AUTH_SECRET is required when AUTH_MODE=required');
+  }
+
+  /**
+   * @param {string[]} roles - Roles allowed on the route
+   * @param {object} [options]
+   * @param {Function} [options.classId] - (req) => classId to scope teacher/device access
+   * @param {boolean} [options.optionalClassId=false] - Let teachers/devices omit the class; the
+   *   route must then limit its results with classScope(req.auth)
+   * @param {boolean} [options.queryToken=false] - Also accept ?access_token= (EventSource cannot send headers)
+   * @returns {Function} Middleware setting req.auth
+   */
+  return function authorize(roles, { classId: getClassId, optionalClassId = false, queryToken = false } = {}) {
+    return function (req, res, next) {
+      if (mode === 'off') {
+        req.auth = null;
+        return next();
+      }
+
+      let claims = null;
+      const deny = (code, reason) => {
+        console.warn(
+          `🚫 Access denied: ${req.method} ${req.originalUrl.replace(/access_token=[^&]*/, 'access_token=***')} ` +
+          `(${claims ? `${claims.role}:${claims.sub}` : 'anonymous'}, ${req.ip}): ${reason}`
+        );
+        res.status(code).json({ error: reason });
+      };
+
+      const header = req.get('Authorization') || '';
+      const token = header.startsWith('Bearer ')
+        ? header.slice(7)
+        : (queryToken && typeof req.query.access_token === 'string' ? req.query.access_token : null);
+      if (!token) {
+        return deny(401, 'Missing bearer token');
+      }
+
+      try {
+        claims = verifyToken(secret, token);
+      } catch (error) {
+        return deny(401, error.message);
+      }
+
+      if (!roles.includes(claims.role)) {
+        return deny(403, `Role ${claims.role} not allowed`);
+      }
+
+      if (getClassId && claims.role !== 'admin') {
+        const classId = getClassId(req);
+        if (!(optionalClassId && !classId) && !canAccessClass(claims, classId)) {
+          return deny(403, `Not authorized for class ${classId || '(none)'}`);
+        }
+      }
+
+      req.auth = claims;
+      next();
+    };
+  };
+}
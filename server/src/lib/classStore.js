@@ -0,0 +1,439 @@
+/**
+ * Class, roster and schedule store
+ * Backed by data/schedule.json and data/roster.json. Changes made through the
+ * API are written back atomically and applied live; edits made to the files
+ * by hand are picked up without a restart. Recurring timetable rules are
+ * expanded here, so lookups always see concrete sessions.
+ */
+
+import fs from 'fs';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+import { ruleError, expandSchedule, WEEKDAYS } from './timetable.js';
+import { tapWindowError, isValidTimeZone } from './time.js';
+
+// NFC card UIDs are 4 to 10 bytes of hex
+const CARD_UID_PATTERN = /^([0-9A-F]{2}){4,10}$/;
+export const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Error carrying the HTTP status to answer with
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+export function storeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Normalize and validate a card UID
+ * @param {string} cardUidHex - e.g. "04aabbccdd"
+ * @returns {string} Upper-case hex UID
+ */
+export function normalizeCardUid(cardUidHex) {
+  const uid = String(cardUidHex || '').replace(/[\s:]/g, '').toUpperCase();
+  if (!CARD_UID_PATTERN.test(uid)) {
+    throw storeError(400, `Invalid card UID "${cardUidHex}" (expected 4-10 bytes of hex)`);
+  }
+  return uid;
+}
+
+/**
+ * Validate an optional tap window override
+ * @param {object} [tapWindow]
+ */
+function validateTapWindow(tapWindow) {
+  const error = tapWindow === undefined ? null : tapWindowError(tapWindow);
+  if (error) throw storeError(400, error);
+}
+
+/**
+ * Validate a session definition
+ * @param {object} session
+ * @returns {object} Clean session entry
+ */
+export function validateSession({ id, startIso, durationMin, ...rest }) {
+  if (!id || !ID_PATTERN.test(id)) throw storeError(400, 'Invalid or missing session id');
+  validateTapWindow(rest.tapWindow);
+  if (!startIso || Number.isNaN(new Date(startIso).getTime())) {
+    throw storeError(400, 'Invalid or missing startIso');
+  }
+  const duration = Number(durationMin);
+  if (!Number.isInteger(duration) || duration <= 0) {
+    throw storeError(400, 'durationMin must be a positive integer');
+  }
+  return { ...rest, id, startIso, durationMin: duration };
+}
+
+/**
+ * Validate a recurring timetable rule
+ * @param {object} rule
+ * @returns {object} Clean rule with lower-case three-letter weekdays
+ */
+function validateRule({ id, days, time, durationMin, from, until, except, tapWindow }) {
+  if (!id || !ID_PATTERN.test(id)) throw storeError(400, 'Invalid or missing rule id');
+  validateTapWindow(tapWindow);
+
+  const rule = { id, days, time, durationMin: Number(durationMin), from, until };
+  if (except !== undefined) rule.except = except;
+  if (tapWindow !== undefined) rule.tapWindow = tapWindow;
+
+  const error = ruleError(rule);
+  if (error) throw storeError(400, error);
+
+  rule.days = WEEKDAYS.filter(day => days.some(d => String(d).slice(0, 3).toLowerCase() === day));
+  rule.time = time.padStart(5, '0');
+  return rule;
+}
+
+/**
+ * Create the class store
+ * @param {object} options
+ * @param {string} options.scheduleFile - Path to schedule.json
+ * @param {string} options.rosterFile - Path to roster.json
+ * @param {Function} [options.hasRecords] - (classId, sessionId) => whether attendance was recorded
+ * @returns {object} Store
+ */
+export function createClassStore({ scheduleFile, rosterFile, hasRecords = () => false }) {
+  let schedule = readJsonFile(scheduleFile, {});
+  let roster = readJsonFile(rosterFile, {});
+  const written = new Map(); // file -> last content written by this process
+  const expanded = new Map(); // classId -> sessions incl. rule occurrences
+
+  function sessionsOf(classId) {
+    if (!schedule[classId]) return [];
+    if (!expanded.has(classId)) expanded.set(classId, expandSchedule(schedule[classId]));
+    return expanded.get(classId);
+  }
+
+  function save() {
+    expanded.clear();
+    writeJsonFile(scheduleFile, schedule);
+    writeJsonFile(rosterFile, roster);
+    written.set(scheduleFile, fs.readFileSync(scheduleFile, 'utf-8'));
+    written.set(rosterFile, fs.readFileSync(rosterFile, 'utf-8'));
+  }
+
+  // Session salts, and so the hashes already recorded, are derived from a
+  // session's start: a change that would move or remove a session with
+  // recorded attendance is undone
+  function changeSchedule(classId, change) {
+    const before = structuredClone(requireClass(classId).schedule);
+    let result;
+    try {
+      result = change(schedule[classId]);
+    } catch (error) {
+      schedule[classId] = before;
+      throw error;
+    }
+
+    const starts = new Map(expandSchedule(schedule[classId]).map(s => [s.id, s.startIso]));
+    const moved = expandSchedule(before).find(s => starts.get(s.id) !== s.startIso && hasRecords(classId, s.id));
+    if (moved) {
+      schedule[classId] = before;
+      throw storeError(409, `Session ${moved.id} has recorded attendance: it can no longer be moved or removed`);
+    }
+
+    save();
+    return result;
+  }
+
+  function validateTimeZone(timezone) {
+    if (!isValidTimeZone(timezone)) throw storeError(400, `Unknown timezone "${timezone}"`);
+  }
+
+  function requireClass(classId) {
+    if (!schedule[classId]) throw storeError(404, `Class ${classId} not found`);
+    if (!roster[classId]) roster[classId] = { students: [] };
+    return { schedule: schedule[classId], roster: roster[classId] };
+  }
+
+  function requireRule(classId, ruleId) {
+    const rule = (requireClass(classId).schedule.rules || []).find(r => r.id === ruleId);
+    if (!rule) throw storeError(404, `Rule ${ruleId} not found in ${classId}`);
+    return rule;
+  }
+
+  function requireStudent(classId, studentId) {
+    const student = requireClass(classId).roster.students.find(s => s.studentId === studentId);
+    if (!student) throw storeError(404, `Student ${studentId} not found in ${classId}`);
+    return student;
+  }
+
+  // A card may belong to one student only (the same student can be in several classes)
+  function assertCardFree(cardUidHex, studentId) {
+    for (const [classId, { students }] of Object.entries(roster)) {
+      const owner = students.find(s => s.cardUidHex === cardUidHex && s.studentId !== studentId);
+      if (owner) {
+        throw storeError(409, `Card ${cardUidHex} already assigned to ${owner.studentId} in ${classId}`);
+      }
+    }
+  }
+
+  return {
+    // ---- Lookups -------------------------------------------------------
+
+    findSession(classId, sessionId) {
+      return sessionsOf(classId).find(s => s.id === sessionId) || null;
+    },
+
+    /**
+     * Schedule of a class with rules expanded into sessions
+     * @param {string} classId
+     * @returns {object|null} { timezone, sessions, rules }
+     */
+    getSchedule(classId) {
+      if (!schedule[classId]) return null;
+      return { ...schedule[classId], sessions: sessionsOf(classId) };
+    },
+
+    getRoster(classId) {
+      return roster[classId] || null;
+    },
+
+    listClassIds() {
+      return Object.keys(schedule);
+    },
+
+    /**
+     * Every scheduled session with its class
+     * @returns {object[]} [{ classId, session }]
+     */
+    listSessions() {
+      return Object.keys(schedule).flatMap(classId =>
+        sessionsOf(classId).map(session => ({ classId, session }))
+      );
+    },
+
+    // ---- Classes -------------------------------------------------------
+
+    createClass({ classId, timezone = 'UTC', tapWindow, checkout }) {
+      if (!classId || !ID_PATTERN.test(classId)) throw storeError(400, 'Invalid or missing classId');
+      if (schedule[classId]) throw storeError(409, `Class ${classId} already exists`);
+      validateTimeZone(timezone);
+      validateTapWindow(tapWindow);
+
+      schedule[classId] = {
+        timezone,
+        sessions: [],
+        ...(tapWindow && { tapWindow }),
+        ...(typeof checkout === 'boolean' && { checkout })
+      };
+      roster[classId] = { students: [] };
+      save();
+      return { classId, ...schedule[classId] };
+    },
+
+    updateClass(classId, { timezone, tapWindow, checkout }) {
+      if (timezone) validateTimeZone(timezone);
+      return changeSchedule(classId, entry => {
+        if (timezone) entry.timezone = timezone;
+        if (typeof checkout === 'boolean') entry.checkout = checkout;
+        // tapWindow: null removes the class override
+        if (tapWindow === null) delete entry.tapWindow;
+        else if (tapWindow !== undefined) {
+          validateTapWindow(tapWindow);
+          entry.tapWindow = tapWindow;
+        }
+        return { classId, ...entry };
+      });
+    },
+
+    deleteClass(classId) {
+      requireClass(classId);
+      delete schedule[classId];
+      delete roster[classId];
+      save();
+    },
+
+    // ---- Students ------------------------------------------------------
+
+    addStudent(classId, { studentId, name, cardUidHex }) {
+      const { roster: classRoster } = requireClass(classId);
+      if (!studentId || !ID_PATTERN.test(studentId)) throw storeError(400, 'Invalid or missing studentId');
+      if (!name) throw storeError(400, 'Missing name');
+      if (classRoster.students.some(s => s.studentId === studentId)) {
+        throw storeError(409, `Student ${studentId} already in ${classId}`);
+      }
+
+      const uid = normalizeCardUid(cardUidHex);
+      assertCardFree(uid, studentId);
+
+      const student = { studentId, name, cardUidHex: uid };
+      classRoster.students.push(student);
+      save();
+      return student;
+    },
+
+    updateStudent(classId, studentId, { name }) {
+      const student = requireStudent(classId, studentId);
+      if (name) student.name = name;
+      save();
+      return student;
+    },
+
+    /**
+     * Assign a new card to a student (e.g. after losing one).
+     * The card is updated in every class the student belongs to; the old
+     * UID is kept in previousCards so historical hashes stay verifiable.
+     */
+    reassignCard(classId, studentId, { cardUidHex }) {
+      requireStudent(classId, studentId);
+      const uid = normalizeCardUid(cardUidHex);
+      assertCardFree(uid, studentId);
+
+      const replacedAt = new Date().toISOString();
+      let updated = null;
+
+      for (const { students } of Object.values(roster)) {
+        for (const student of students.filter(s => s.studentId === studentId)) {
+          if (student.cardUidHex !== uid) {
+            student.previousCards = [
+              ...(student.previousCards || []),
+              { cardUidHex: student.cardUidHex, replacedAt }
+            ];
+            student.cardUidHex = uid;
+          }
+          updated = student;
+        }
+      }
+
+      save();
+      return updated;
+    },
+
+    removeStudent(classId, studentId) {
+      const { roster: classRoster } = requireClass(classId);
+      requireStudent(classId, studentId);
+      classRoster.students = classRoster.students.filter(s => s.studentId !== studentId);
+      save();
+    },
+
+    // ---- Sessions ------------------------------------------------------
+
+    addSession(classId, session) {
+      const entry = requireClass(classId).schedule;
+      const clean = validateSession(session);
+      if (entry.sessions.some(s => s.id === clean.id)) {
+        throw storeError(409, `Session ${clean.id} already exists in ${classId}`);
+      }
+
+      entry.sessions.push(clean);
+      entry.sessions.sort((a, b) => new Date(a.startIso) - new Date(b.startIso));
+      save();
+      return clean;
+    },
+
+    /**
+     * Update a session. Changing an occurrence of a rule stores an explicit
+     * session with the same id, which overrides that occurrence.
+     */
+    updateSession(classId, sessionId, changes) {
+      requireClass(classId);
+      const current = sessionsOf(classId).find(s => s.id === sessionId);
+      if (!current) throw storeError(404, `Session ${sessionId} not found in ${classId}`);
+
+      const clean = validateSession({ ...current, ...changes, id: sessionId });
+      return changeSchedule(classId, entry => {
+        entry.sessions = [...entry.sessions.filter(s => s.id !== sessionId), clean];
+        entry.sessions.sort((a, b) => new Date(a.startIso) - new Date(b.startIso));
+        return clean;
+      });
+    },
+
+    /**
+     * Remove a session. Removing an occurrence of a rule adds its date to
+     * the rule's except list.
+     */
+    removeSession(classId, sessionId) {
+      requireClass(classId);
+      const current = sessionsOf(classId).find(s => s.id === sessionId);
+      if (!current) throw storeError(404, `Session ${sessionId} not found in ${classId}`);
+
+      changeSchedule(classId, entry => {
+        entry.sessions = entry.sessions.filter(s => s.id !== sessionId);
+        const rule = (entry.rules || []).find(r => r.id === current.ruleId);
+        if (rule) {
+          rule.except = [...new Set([...(rule.except || []), sessionId.slice(0, 10)])].sort();
+        }
+      });
+    },
+
+    // ---- Recurring rules -----------------------------------------------
+
+    addRule(classId, rule) {
+      const entry = requireClass(classId).schedule;
+      const clean = validateRule(rule);
+      if ((entry.rules || []).some(r => r.id === clean.id)) {
+        throw storeError(409, `Rule ${clean.id} already exists in ${classId}`);
+      }
+
+      entry.rules = [...(entry.rules || []), clean];
+      save();
+      return clean;
+    },
+
+    updateRule(classId, ruleId, changes) {
+      const clean = validateRule({ ...requireRule(classId, ruleId), ...changes, id: ruleId });
+      return changeSchedule(classId, entry => {
+        entry.rules = entry.rules.map(r => (r.id === ruleId ? clean : r));
+        return clean;
+      });
+    },
+
+    removeRule(classId, ruleId) {
+      requireRule(classId, ruleId);
+      changeSchedule(classId, entry => {
+        entry.rules = entry.rules.filter(r => r.id !== ruleId);
+      });
+    },
+
+    // ---- Bulk changes --------------------------------------------------
+
+    /**
+     * Copy of the current schedule and roster (e.g. to plan an import)
+     * @returns {object} { schedule, roster }
+     */
+    snapshot() {
+      return structuredClone({ schedule, roster });
+    },
+
+    /**
+     * Replace the schedule and roster in one write
+     * @param {object} next - { schedule, roster }, usually an edited snapshot
+     */
+    applySnapshot(next) {
+      schedule = next.schedule;
+      roster = next.roster;
+      save();
+    },
+
+    // ---- Hot reload ----------------------------------------------------
+
+    /**
+     * Reload the files when they are edited by hand
+     * @param {number} [intervalMs=2000]
+     */
+    watch(intervalMs = 2000) {
+      for (const file of [scheduleFile, rosterFile]) {
+        fs.watchFile(file, { interval: intervalMs }, () => {
+          try {
+            const content = fs.readFileSync(file, 'utf-8');
+            if (content === written.get(file)) return;
+
+            const data = JSON.parse(content);
+            if (file === scheduleFile) schedule = data;
+            else roster = data;
+            expanded.clear();
+            written.set(file, content);
+            console.log(`🔄 Reloaded ${file}`);
+          } catch (error) {
+            console.warn(`⚠️  Ignoring invalid ${file}:`, error.message);
+          }
+        }).unref();
+      }
+    }
+  };
+}
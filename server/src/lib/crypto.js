@@ -9,6 +9,15 @@ export function sha256Hex(data) {
   return crypto.createHash('sha256').update(data).digest('hex');
 }
 
+/**
+ * Generate SHA384 hash in hex format
+ * @param {string} data - Data to hash
+ * @returns {string} Hex string (96 chars)
+ */
+export function sha384Hex(data) {
+  return crypto.createHash('sha384').update(data).digest('hex');
+}
+
 /**
  * Generate HMAC-SHA256 in hex format
  * @param {string} secret - Secret key
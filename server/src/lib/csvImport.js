@@ -0,0 +1,347 @@
+/**
+ * CSV import for rosters and timetables
+ * Parses the class lists and timetables exported by school offices and
+ * plans the resulting changes to schedule.json / roster.json, so they can
+ * be reviewed as a dry run before being applied.
+ */
+
+import { ID_PATTERN, normalizeCardUid, validateSession } from './classStore.js';
+import { zonedTimeToIso } from './time.js';
+
+export const IMPORT_KINDS = ['roster', 'timetable'];
+
+// Accepted header spellings (compared lower-case, without spaces/punctuation)
+const COLUMNS = {
+  roster: {
+    classId: ['classid', 'class', 'classe'],
+    studentId: ['studentid', 'student', 'id'],
+    name: ['name', 'fullname', 'studentname', 'nom'],
+    cardUidHex: ['carduidhex', 'carduid', 'carduuid', 'uid', 'card']
+  },
+  timetable: {
+    classId: ['classid', 'class', 'classe'],
+    sessionId: ['sessionid', 'session', 'id'],
+    startIso: ['startiso', 'start'],
+    date: ['date'],
+    time: ['time', 'starttime'],
+    durationMin: ['durationmin', 'duration', 'minutes'],
+    timezone: ['timezone', 'tz']
+  }
+};
+
+/**
+ * Parse CSV text (RFC 4180 quoting; comma or semicolon separated)
+ * @param {string} text
+ * @returns {string[][]} Rows of cells, blank lines skipped
+ */
+export function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  // Spreadsheets in many locales export with ";" as the separator
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows
+    .map(cells => cells.map(c => c.trim()))
+    .filter(cells => cells.some(c => c !== ''));
+}
+
+/**
+ * Map CSV rows to objects using the known column names
+ * @param {string} kind - "roster" | "timetable"
+ * @param {string} text - CSV text with a header row
+ * @returns {object[]} [{ line, ...fields }]
+ */
+function readRecords(kind, text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const fields = header.map(name => {
+    const key = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return Object.keys(COLUMNS[kind]).find(field => COLUMNS[kind][field].includes(key)) || null;
+  });
+
+  return rows.map((cells, index) => {
+    const record = { line: index + 2 };
+    fields.forEach((field, i) => {
+      if (field && cells[i]) record[field] = cells[i];
+    });
+    return record;
+  });
+}
+
+/**
+ * Plan a roster import
+ * @param {object} current - { schedule, roster } snapshot of the class store
+ * @param {string} text - Roster CSV (classId, studentId, name, cardUidHex)
+ * @param {object} [options]
+ * @param {string} [options.classId] - Class for every row when the CSV has no class column
+ * @param {boolean} [options.replace=false] - Remove students missing from the CSV
+ *   (only in the classes the CSV covers)
+ * @returns {object} { changes, errors, next } where next is the resulting snapshot
+ */
+function planRoster(current, text, { classId: defaultClassId, replace = false } = {}) {
+  const next = structuredClone(current);
+  const changes = [];
+  const errors = [];
+  const seen = new Map(); // classId -> Set of studentIds in the CSV
+
+  for (const record of readRecords('roster', text)) {
+    const { line, name } = record;
+    const classId = record.classId || defaultClassId;
+    const { studentId } = record;
+
+    if (!classId || !ID_PATTERN.test(classId)) {
+      errors.push({ line, error: 'Invalid or missing classId' });
+      continue;
+    }
+    if (!studentId || !ID_PATTERN.test(studentId)) {
+      errors.push({ line, error: 'Invalid or missing studentId' });
+      continue;
+    }
+    if (!name) {
+      errors.push({ line, error: `Missing name for ${studentId}` });
+      continue;
+    }
+
+    let cardUidHex;
+    try {
+      cardUidHex = normalizeCardUid(record.cardUidHex);
+    } catch (error) {
+      errors.push({ line, error: error.message });
+      continue;
+    }
+
+    const inClass = seen.get(classId) || seen.set(classId, new Set()).get(classId);
+    if (inClass.has(studentId)) {
+      errors.push({ line, error: `Student ${studentId} listed twice in ${classId}` });
+      continue;
+    }
+    inClass.add(studentId);
+
+    if (!next.schedule[classId]) {
+      next.schedule[classId] = { timezone: 'UTC', sessions: [] };
+      changes.push({ action: 'create_class', classId });
+    }
+    const students = (next.roster[classId] ||= { students: [] }).students;
+    const existing = students.find(s => s.studentId === studentId);
+
+    if (!existing) {
+      students.push({ studentId, name, cardUidHex });
+      changes.push({ action: 'add_student', classId, studentId, after: { name, cardUidHex } });
+    } else if (existing.name !== name || existing.cardUidHex !== cardUidHex) {
+      const before = { name: existing.name, cardUidHex: existing.cardUidHex };
+      if (existing.cardUidHex !== cardUidHex) {
+        existing.previousCards = [
+          ...(existing.previousCards || []),
+          { cardUidHex: existing.cardUidHex, replacedAt: new Date().toISOString() }
+        ];
+      }
+      Object.assign(existing, { name, cardUidHex });
+      changes.push({ action: 'update_student', classId, studentId, before, after: { name, cardUidHex } });
+    }
+  }
+
+  if (replace) {
+    for (const [classId, ids] of seen) {
+      const students = next.roster[classId].students;
+      for (const student of students.filter(s => !ids.has(s.studentId))) {
+        changes.push({ action: 'remove_student', classId, studentId: student.studentId, before: { name: student.name } });
+      }
+      next.roster[classId].students = students.filter(s => ids.has(s.studentId));
+    }
+  }
+
+  // A card belongs to one student, and a student has one card, across all classes
+  const cardOwners = new Map();
+  const studentCards = new Map();
+  for (const [classId, { students }] of Object.entries(next.roster)) {
+    for (const { studentId, cardUidHex } of students) {
+      const owner = cardOwners.get(cardUidHex);
+      if (owner && owner.studentId !== studentId) {
+        errors.push({ error: `Card ${cardUidHex} assigned to both ${owner.studentId} (${owner.classId}) and ${studentId} (${classId})` });
+      }
+      cardOwners.set(cardUidHex, { studentId, classId });
+
+      const card = studentCards.get(studentId);
+      if (card && card.cardUidHex !== cardUidHex) {
+        errors.push({ error: `Student ${studentId} has card ${card.cardUidHex} in ${card.classId} but ${cardUidHex} in ${classId}` });
+      }
+      studentCards.set(studentId, { cardUidHex, classId });
+    }
+  }
+
+  return { changes, errors, next };
+}
+
+/**
+ * Plan a timetable import
+ * @param {object} current - { schedule, roster } snapshot of the class store
+ * @param {string} text - Timetable CSV (classId, sessionId, date + time or startIso,
+ *   durationMin, optional timezone)
+ * @param {object} [options]
+ * @param {string} [options.classId] - Class for every row when the CSV has no class column
+ * @param {boolean} [options.replace=false] - Remove sessions missing from the CSV
+ *   (only in the classes the CSV covers)
+ * @returns {object} { changes, errors, next } where next is the resulting snapshot
+ */
+function planTimetable(current, text, { classId: defaultClassId, replace = false } = {}) {
+  const next = structuredClone(current);
+  const changes = [];
+  const errors = [];
+  const seen = new Map(); // classId -> Set of session ids in the CSV
+
+  for (const record of readRecords('timetable', text)) {
+    const { line, date, time, timezone } = record;
+    const classId = record.classId || defaultClassId;
+
+    if (!classId || !ID_PATTERN.test(classId)) {
+      errors.push({ line, error: 'Invalid or missing classId' });
+      continue;
+    }
+
+    let entry = next.schedule[classId];
+    if (!entry) {
+      entry = next.schedule[classId] = { timezone: timezone || 'UTC', sessions: [] };
+      next.roster[classId] ||= { students: [] };
+      changes.push({ action: 'create_class', classId, after: { timezone: entry.timezone } });
+    } else if (timezone && timezone !== entry.timezone) {
+      changes.push({ action: 'update_class', classId, before: { timezone: entry.timezone }, after: { timezone } });
+      entry.timezone = timezone;
+    }
+
+    let session;
+    try {
+      // Wall-clock date/time columns are read in the class timezone
+      let startIso = record.startIso;
+      if (!startIso && /^\d{4}-\d{2}-\d{2}$/.test(date || '') && /^\d{1,2}:\d{2}$/.test(time || '')) {
+        startIso = zonedTimeToIso(date, time, entry.timezone);
+      }
+      const id = record.sessionId || (startIso && date && time
+        ? `${date}-${time.replace(':', '').padStart(4, '0')}`
+        : undefined);
+      session = validateSession({ id, startIso, durationMin: record.durationMin });
+    } catch (error) {
+      errors.push({ line, error: error instanceof RangeError ? `Unknown timezone ${entry.timezone}` : error.message });
+      continue;
+    }
+
+    const inClass = seen.get(classId) || seen.set(classId, new Set()).get(classId);
+    if (inClass.has(session.id)) {
+      errors.push({ line, error: `Session ${session.id} listed twice in ${classId}` });
+      continue;
+    }
+    inClass.add(session.id);
+
+    const index = entry.sessions.findIndex(s => s.id === session.id);
+    const existing = entry.sessions[index];
+    const after = { startIso: session.startIso, durationMin: session.durationMin };
+
+    if (!existing) {
+      entry.sessions.push(session);
+      changes.push({ action: 'add_session', classId, sessionId: session.id, after });
+    } else if (new Date(existing.startIso).getTime() !== new Date(session.startIso).getTime() ||
+      existing.durationMin !== session.durationMin) {
+      const before = { startIso: existing.startIso, durationMin: existing.durationMin };
+      entry.sessions[index] = { ...existing, ...session };
+      changes.push({ action: 'update_session', classId, sessionId: session.id, before, after });
+    }
+  }
+
+  for (const [classId, ids] of seen) {
+    const entry = next.schedule[classId];
+    if (replace) {
+      for (const session of entry.sessions.filter(s => !ids.has(s.id))) {
+        changes.push({ action: 'remove_session', classId, sessionId: session.id, before: { startIso: session.startIso } });
+      }
+      entry.sessions = entry.sessions.filter(s => ids.has(s.id));
+    }
+    entry.sessions.sort((a, b) => new Date(a.startIso) - new Date(b.startIso));
+  }
+
+  return { changes, errors, next };
+}
+
+/**
+ * Plan an import against the current class store contents
+ * @param {string} kind - "roster" | "timetable"
+ * @param {object} current - { schedule, roster } snapshot
+ * @param {string} text - CSV text
+ * @param {object} [options] - { classId, replace }
+ * @returns {object} { changes, errors, next }
+ */
+export function planImport(kind, current, text, options = {}) {
+  if (!IMPORT_KINDS.includes(kind)) {
+    throw new Error(`Unknown import kind "${kind}" (expected ${IMPORT_KINDS.join(' or ')})`);
+  }
+
+  if (readRecords(kind, text).length === 0) {
+    return { changes: [], errors: [{ error: 'CSV has no data rows' }], next: current };
+  }
+
+  return kind === 'roster'
+    ? planRoster(current, text, options)
+    : planTimetable(current, text, options);
+}
+
+/**
+ * Count planned changes by action
+ * @param {object[]} changes
+ * @returns {object} { add_student: 3, ... }
+ */
+export function summarizeChanges(changes) {
+  return changes.reduce((counts, { action }) => {
+    counts[action] = (counts[action] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Format a planned change as one diff line
+ * @param {object} change
+ * @returns {string} e.g. "+ math-9a/s-006 {"name":"Fiona",...}"
+ */
+export function formatChange({ action, classId, studentId, sessionId, before, after }) {
+  const marker = action.startsWith('add') || action.startsWith('create') ? '+'
+    : action.startsWith('remove') ? '-'
+      : '~';
+  const target = [classId, studentId || sessionId].filter(Boolean).join('/');
+  const detail = before && after
+    ? `${JSON.stringify(before)} → ${JSON.stringify(after)}`
+    : JSON.stringify(after || before || {});
+  return `${marker} ${action.padEnd(14)} ${target} ${detail}`;
+}
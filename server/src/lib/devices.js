@@ -0,0 +1,249 @@
+/**
+ * Device registry and signed request verification
+ * Each reader/sensor has its own key: an HMAC-SHA256 shared secret or an
+ * Ed25519 public key. Devices sign "<timestamp>.<nonce>.<raw body>".
+ */
+
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+import { hmacSha256Hex } from './crypto.js';
+
+export const DEVICE_ALGORITHMS = ['hmac-sha256', 'ed25519'];
+
+// DER prefix for a raw 32-byte Ed25519 public key (SubjectPublicKeyInfo)
+const ED25519_SPKI_PREFIX = '302a300506032b6570032100';
+
+/**
+ * Build the string a device signs
+ * @param {string|number} timestamp - Unix ms from the X-Timestamp header
+ * @param {string} nonce - Unique value from the X-Nonce header
+ * @param {string} rawBody - Exact request body
+ * @returns {string}
+ */
+export function signingString(timestamp, nonce, rawBody) {
+  return `${timestamp}.${nonce}.${rawBody}`;
+}
+
+/**
+ * Parse an Ed25519 public key given as PEM or 64-char raw hex
+ * @param {string} publicKey
+ * @returns {crypto.KeyObject}
+ */
+function parseEd25519PublicKey(publicKey) {
+  if (publicKey.includes('BEGIN PUBLIC KEY')) {
+    return crypto.createPublicKey(publicKey);
+  }
+  const hex = publicKey.replace(/^0x/, '');
+  return crypto.createPublicKey({
+    key: Buffer.from(ED25519_SPKI_PREFIX + hex, 'hex'),
+    format: 'der',
+    type: 'spki'
+  });
+}
+
+/**
+ * Verify a device signature
+ * @param {object} device - Registry entry
+ * @param {string} message - Signing string
+ * @param {string} signature - Hex (HMAC, Ed25519) or base64 (Ed25519)
+ * @returns {boolean}
+ */
+export function verifyDeviceSignature(device, message, signature) {
+  if (!signature) return false;
+
+  if (device.algorithm === 'hmac-sha256') {
+    const expected = Buffer.from(hmacSha256Hex(device.secret, message), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  if (device.algorithm === 'ed25519') {
+    const sig = /^[0-9a-f]{128}$/i.test(signature)
+      ? Buffer.from(signature, 'hex')
+      : Buffer.from(signature, 'base64');
+    try {
+      return crypto.verify(null, Buffer.from(message), parseEd25519PublicKey(device.publicKey), sig);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Create the device registry
+ * @param {object} options
+ * @param {string} options.file - JSON file holding registered devices
+ * @returns {object} Registry
+ */
+export function createDeviceRegistry({ file }) {
+  const devices = readJsonFile(file, {});
+
+  function save() {
+    writeJsonFile(file, devices);
+  }
+
+  // Registry entry without key material
+  function describe(device) {
+    const { secret, ...rest } = device;
+    return rest;
+  }
+
+  return {
+    /**
+     * Register a device
+     * @param {object} options
+     * @param {string} options.deviceId
+     * @param {string} [options.kind] - "reader" | "sensor"
+     * @param {string[]} [options.classIds] - Classes the device may report for (empty = any)
+     * @param {string} [options.algorithm='hmac-sha256']
+     * @param {string} [options.publicKey] - Required for ed25519
+     * @returns {object} Entry, including the generated secret for HMAC devices
+     */
+    register({ deviceId, kind = 'sensor', classIds = [], algorithm = 'hmac-sha256', publicKey }) {
+      if (!deviceId) throw new Error('Missing deviceId');
+      if (devices[deviceId]) throw new Error(`Device ${deviceId} already registered`);
+      if (!DEVICE_ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Unsupported algorithm "${algorithm}" (expected one of: ${DEVICE_ALGORITHMS.join(', ')})`);
+      }
+
+      const device = {
+        deviceId,
+        kind,
+        classIds,
+        algorithm,
+        status: 'active',
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+      };
+
+      if (algorithm === 'hmac-sha256') {
+        device.secret = crypto.randomBytes(32).toString('hex');
+      } else {
+        if (!publicKey) throw new Error('Missing publicKey for ed25519 device');
+        parseEd25519PublicKey(publicKey); // Throws on malformed keys
+        device.publicKey = publicKey;
+      }
+
+      devices[deviceId] = device;
+      save();
+      return { ...device };
+    },
+
+    /**
+     * Revoke a device; its signatures are rejected from now on
+     * @param {string} deviceId
+     * @returns {object|null} Updated entry
+     */
+    revoke(deviceId) {
+      const device = devices[deviceId];
+      if (!device) return null;
+      device.status = 'revoked';
+      device.revokedAt = new Date().toISOString();
+      save();
+      return describe(device);
+    },
+
+    get(deviceId) {
+      return devices[deviceId] || null;
+    },
+
+    list() {
+      return Object.values(devices).map(describe);
+    }
+  };
+}
+
+/**
+ * Express middleware verifying signed device requests.
+ * Requires express.json({ verify }) to keep the raw body on req.rawBody.
+ * Sets req.device to the verified registry entry.
+ * @param {object} options
+ * @param {object} options.registry - Device registry
+ * @param {string} [options.mode='required'] - "required" | "off"
+ * @param {number} [options.maxSkewMs=300000] - Accepted clock skew for X-Timestamp
+ * @param {string} [options.nonceFile] - JSON file persisting used nonces, so a
+ *   restart cannot reopen the replay window
+ * @param {number} [options.flushMs=5000] - How often used nonces are written to nonceFile
+ * @returns {Function} Middleware
+ */
+export function createDeviceAuth({ registry, mode = 'required', maxSkewMs = 300000, nonceFile, flushMs = 5000 }) {
+  // "deviceId:nonce" -> expiry (ms). Kept in memory and flushed on an interval,
+  // so a flood of signed requests never turns into a file write per request.
+  const seenNonces = new Map(Object.entries(nonceFile ? readJsonFile(nonceFile, {}) : {}));
+  let dirty = false;
+
+  function prune() {
+    const now = Date.now();
+    for (const [key, expiry] of seenNonces) {
+      if (expiry < now) {
+        seenNonces.delete(key);
+        dirty = true;
+      }
+    }
+  }
+
+  function flush() {
+    if (!dirty || !nonceFile) return;
+    writeJsonFile(nonceFile, Object.fromEntries(seenNonces));
+    dirty = false;
+  }
+
+  if (mode !== 'off') {
+    const timers = [setInterval(flush, flushMs), setInterval(prune, maxSkewMs)];
+    timers.forEach(timer => timer.unref());
+  }
+
+  function rememberNonce(key) {
+    const now = Date.now();
+    if (seenNonces.get(key) >= now) return false;
+    seenNonces.set(key, now + 2 * maxSkewMs);
+    dirty = true;
+    return true;
+  }
+
+  return function deviceAuth(req, res, next) {
+    if (mode === 'off') return next();
+
+    const deviceId = req.get('X-Device-Id');
+    const timestamp = req.get('X-Timestamp');
+    const nonce = req.get('X-Nonce');
+    const signature = req.get('X-Signature');
+
+    const deny = (code, message) => {
+      console.warn(`🚫 Device auth denied (${deviceId || 'no device'}, ${req.ip}): ${message}`);
+      res.status(code).json({ status: 'error', message });
+    };
+
+    if (!deviceId || !timestamp || !nonce || !signature) {
+      return deny(401, 'Missing device signature headers: X-Device-Id, X-Timestamp, X-Nonce, X-Signature');
+    }
+
+    const device = registry.get(deviceId);
+    if (!device) {
+      return deny(401, `Unknown device ${deviceId}`);
+    }
+    if (device.status !== 'active') {
+      return deny(403, `Device ${deviceId} is revoked`);
+    }
+
+    // Non-numeric timestamps would compare as NaN and skip the skew check
+    const sentAt = Number(timestamp);
+    if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > maxSkewMs) {
+      return deny(401, 'Request timestamp outside the accepted window');
+    }
+
+    const message = signingString(timestamp, nonce, req.rawBody ? req.rawBody.toString('utf-8') : '');
+    if (!verifyDeviceSignature(device, message, signature)) {
+      return deny(401, 'Invalid device signature');
+    }
+
+    if (!rememberNonce(`${deviceId}:${nonce}`)) {
+      return deny(401, 'Replayed request (nonce already used)');
+    }
+
+    req.device = device;
+    next();
+  };
+}
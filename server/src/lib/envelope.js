@@ -0,0 +1,190 @@
+/**
+ * Envelope encryption for ledger payloads
+ * Topics are public: even with hashed UIDs, anyone can read classId, deviceId,
+ * timing and status counts. When enabled, every payload is encrypted
+ * (AES-256-GCM) with its class key, or the school key, right before
+ * publishing; only the key id and a hash commitment stay in clear text:
+ *
+ *   { "type": "envelope", "v": 1, "kid": "...", "iv": "...", "ct": "...", "commitment": "..." }
+ *
+ * The kid is the same for every message sealed with one key, so with per-class
+ * keys anyone can group the topic's messages by class (and follow a class's
+ * activity over time) without reading them. The school key alone keeps all
+ * messages under one kid.
+ *
+ * The ciphertext holds "<nonce>.<payload JSON>" and the commitment is its
+ * SHA-256, so an opening ({ nonce, plaintext }) lets anyone check that exactly
+ * this plaintext was anchored at the message's consensus timestamp without
+ * holding the key. The random nonce keeps low-entropy payloads from being
+ * guessed from the commitment.
+ */
+
+import crypto from 'crypto';
+import { sha256Hex } from './crypto.js';
+
+export const ENVELOPE_TYPE = 'envelope';
+export const ENVELOPE_VERSION = 1;
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * Commitment published for a plaintext
+ * @param {string} nonce - Hex nonce from the opening
+ * @param {string} plaintext - Exact payload JSON
+ * @returns {string} SHA-256 hex
+ */
+export function commitmentOf(nonce, plaintext) {
+  return sha256Hex(`${nonce}.${plaintext}`);
+}
+
+/**
+ * Check an opening against a published envelope
+ * @param {object} envelope - Ledger payload ({ type: "envelope", commitment, ... })
+ * @param {object} opening - { nonce, plaintext }
+ * @returns {boolean}
+ */
+export function verifyOpening(envelope, { nonce, plaintext }) {
+  if (envelope?.type !== ENVELOPE_TYPE || typeof nonce !== 'string' || typeof plaintext !== 'string') {
+    return false;
+  }
+  return commitmentOf(nonce, plaintext) === envelope.commitment;
+}
+
+/**
+ * Public identifier of a key. It does not reveal the key, but it is stable:
+ * messages sealed with a class key are linkable to each other by it.
+ * @param {Buffer} key
+ * @returns {string} 16 hex characters
+ */
+function keyId(key) {
+  return sha256Hex(key).slice(0, 16);
+}
+
+function parseKey(hex, label) {
+  if (!/^[0-9a-fA-F]{64}$/.test(hex || '')) {
+    throw new Error(`${label} must be a 32-byte key in hex (64 characters)`);
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Create the envelope codec
+ * @param {object} options
+ * @param {boolean} [options.enabled=false] - Encrypt payloads before publishing
+ * @param {string} [options.schoolKey] - Hex key for payloads without a class key (required when enabled)
+ * @param {object} [options.classKeys] - { [classId]: hex key }
+ * @param {string[]} [options.retiredKeys] - Old hex keys, only used to open past messages
+ * @returns {object} Codec
+ */
+export function createEnvelopeCodec({ enabled = false, schoolKey, classKeys = {}, retiredKeys = [] }) {
+  if (enabled && !schoolKey) {
+    throw new Error('PAYLOAD_ENCRYPTION=on requires PAYLOAD_KEY');
+  }
+
+  const school = schoolKey ? parseKey(schoolKey, 'PAYLOAD_KEY') : null;
+  const byClass = Object.fromEntries(
+    Object.entries(classKeys).map(([classId, hex]) => [classId, parseKey(hex, `Key of class ${classId}`)])
+  );
+
+  // Every known key by id, for opening
+  const keys = new Map();
+  for (const key of [school, ...Object.values(byClass), ...retiredKeys.map(hex => parseKey(hex, 'Retired key'))]) {
+    if (key) keys.set(keyId(key), key);
+  }
+
+  /**
+   * Open an envelope
+   * @param {object} envelope - Ledger payload
+   * @returns {object|null} { payload, kid, commitment, opening: { nonce, plaintext } }, or null without a matching key
+   */
+  function open(envelope) {
+    const key = keys.get(envelope.kid);
+    if (!key) return null;
+
+    const iv = Buffer.from(envelope.iv, 'base64');
+    const data = Buffer.from(envelope.ct, 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(data.subarray(data.length - TAG_BYTES));
+    const text = Buffer.concat([decipher.update(data.subarray(0, data.length - TAG_BYTES)), decipher.final()]).toString('utf-8');
+
+    const separator = text.indexOf('.');
+    const opening = { nonce: text.slice(0, separator), plaintext: text.slice(separator + 1) };
+    if (!verifyOpening(envelope, opening)) {
+      throw new Error(`Envelope commitment mismatch (kid ${envelope.kid})`);
+    }
+
+    return { payload: JSON.parse(opening.plaintext), kid: envelope.kid, commitment: envelope.commitment, opening };
+  }
+
+  return {
+    enabled,
+
+    /**
+     * Encrypt a payload for publishing (unchanged when encryption is off)
+     * @param {object} payload - Ledger payload
+     * @returns {object} Envelope or payload
+     */
+    seal(payload) {
+      if (!enabled) return payload;
+
+      const key = byClass[payload.classId] || school;
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const plaintext = JSON.stringify(payload);
+      const iv = crypto.randomBytes(IV_BYTES);
+      const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+      const ct = Buffer.concat([cipher.update(`${nonce}.${plaintext}`, 'utf-8'), cipher.final(), cipher.getAuthTag()]);
+
+      return {
+        type: ENVELOPE_TYPE,
+        v: ENVELOPE_VERSION,
+        kid: keyId(key),
+        iv: iv.toString('base64'),
+        ct: ct.toString('base64'),
+        commitment: commitmentOf(nonce, plaintext)
+      };
+    },
+
+    open,
+
+    /**
+     * Wrap a ledger reader so envelopes come back as their plaintext payloads.
+     * Opened messages keep { kid, commitment } under `envelope`; messages
+     * without a matching key are returned as published.
+     * @param {object} reader - Ledger reader
+     * @returns {object} Reader
+     */
+    reader(reader) {
+      const openMessage = msg => {
+        let published;
+        try {
+          published = JSON.parse(Buffer.from(msg.message, 'base64').toString('utf-8'));
+        } catch {
+          return msg;
+        }
+        if (published?.type !== ENVELOPE_TYPE) return msg;
+
+        try {
+          const opened = open(published);
+          if (!opened) return msg;
+          return {
+            ...msg,
+            message: Buffer.from(opened.opening.plaintext).toString('base64'),
+            envelope: { kid: opened.kid, commitment: opened.commitment }
+          };
+        } catch (error) {
+          console.warn(`⚠️  Cannot open envelope ${msg.topic_id}#${msg.sequence_number}:`, error.message);
+          return msg;
+        }
+      };
+
+      return {
+        name: reader.name,
+        async readMessages(topicId, options) {
+          return (await reader.readMessages(topicId, options)).map(openMessage);
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Live event stream (Server-Sent Events)
+ * Pushes ledger events to dashboards as soon as they are accepted and again
+ * once the ledger confirms them, so clients no longer poll the mirror node.
+ * Recent events are kept in a small buffer so a reconnecting client
+ * (Last-Event-ID) catches up on what it missed.
+ */
+
+/**
+ * Classes an event belongs to (telemetry batches may span several)
+ * @param {object} payload - Ledger payload
+ * @returns {string[]}
+ */
+function classIdsOf(payload) {
+  if (Array.isArray(payload.readings)) {
+    return [...new Set(payload.readings.map(reading => reading.classId))];
+  }
+  return [payload.classId];
+}
+
+/**
+ * Create the event stream
+ * @param {object} [options]
+ * @param {number} [options.bufferSize=500] - Events kept for Last-Event-ID catch-up
+ * @param {number} [options.heartbeatMs=25000] - Comment lines keeping proxies from closing idle streams
+ * @returns {object} Stream
+ */
+export function createEventStream({ bufferSize = 500, heartbeatMs = 25000 } = {}) {
+  const clients = new Set();
+  const buffer = [];
+  let lastId = 0;
+
+  const matches = (client, event) =>
+    (!client.types || client.types.includes(event.type)) &&
+    (!client.classIds || event.classIds.some(classId => client.classIds.includes(classId)));
+
+  // Event data as one client may see it: a batch spanning several classes is
+  // cut down to the readings of the client's classes
+  function dataFor(client, event) {
+    const { data } = event;
+    if (!client.classIds || !Array.isArray(data.readings)) return data;
+
+    const readings = data.readings.filter(reading => client.classIds.includes(reading.classId));
+    return readings.length === data.readings.length ? data : { ...data, count: readings.length, readings };
+  }
+
+  function send(client, event) {
+    client.res.write(`id: ${event.id}\nevent: ${event.stage}\ndata: ${JSON.stringify(dataFor(client, event))}\n\n`);
+  }
+
+  const heartbeat = setInterval(() => {
+    for (const client of clients) client.res.write(': ping\n\n');
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  return {
+    /**
+     * Push a ledger event to every matching client
+     * @param {string} stage - "accepted" (queued for the ledger) | "confirmed" (has a consensus timestamp)
+     * @param {object} payload - Ledger payload
+     * @param {object} [receipt] - { topicId, consensusTimestamp, sequenceNumber } once confirmed
+     */
+    publish(stage, payload, receipt = {}) {
+      const event = {
+        id: ++lastId,
+        stage,
+        type: payload.type,
+        classIds: classIdsOf(payload),
+        data: { stage, ...payload, ...receipt }
+      };
+
+      buffer.push(event);
+      if (buffer.length > bufferSize) buffer.shift();
+
+      for (const client of clients) {
+        if (matches(client, event)) send(client, event);
+      }
+    },
+
+    /**
+     * Attach an HTTP response as a stream client
+     * @param {object} req - Express request (Last-Event-ID header honoured)
+     * @param {object} res - Express response
+     * @param {object} [filter] - { classIds (null/omitted: every class), types }
+     */
+    subscribe(req, res, { classIds, types } = {}) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.write('retry: 5000\n\n');
+
+      const client = { res, classIds, types };
+      const since = parseInt(req.get('Last-Event-ID') || '0');
+      if (since > 0) {
+        buffer.filter(event => event.id > since && matches(client, event)).forEach(event => send(client, event));
+      }
+
+      clients.add(client);
+      req.on('close', () => clients.delete(client));
+    },
+
+    stats() {
+      return { clients: clients.size, lastEventId: lastId };
+    }
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Idempotency-Key support for ingest routes
+ * The first response for a key is stored; retries with the same key get the
+ * stored response instead of publishing again. 5xx and 429 responses are not
+ * stored, since retrying them later can succeed.
+ */
+
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+import { sha256Hex } from './crypto.js';
+
+/**
+ * Create the idempotency middleware
+ * @param {object} options
+ * @param {string} options.file - JSON file holding stored responses
+ * @param {number} [options.ttlMs=86400000] - How long keys are remembered (default 24h)
+ * @returns {Function} Express middleware
+ */
+export function createIdempotency({ file, ttlMs = 24 * 3600 * 1000 }) {
+  const entries = readJsonFile(file, {}); // scopedKey -> { bodyHash, statusCode, body, expiresAt }
+  const inFlight = new Set();
+
+  function save() {
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(entries)) {
+      if (entry.expiresAt < now) delete entries[key];
+    }
+    writeJsonFile(file, entries);
+  }
+
+  return function idempotency(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    // Keys are scoped per device (when authenticated) and per route
+    const scopedKey = `${req.device?.deviceId || '-'}:${req.path}:${key}`;
+    const bodyHash = sha256Hex(req.rawBody ? req.rawBody.toString('utf-8') : '');
+    const stored = entries[scopedKey];
+
+    if (stored && stored.expiresAt > Date.now()) {
+      if (stored.bodyHash !== bodyHash) {
+        return res.status(422).json({
+          status: 'error',
+          message: 'Idempotency-Key was already used with a different request body'
+        });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.statusCode).json(stored.body);
+    }
+
+    if (inFlight.has(scopedKey)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    inFlight.add(scopedKey);
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      inFlight.delete(scopedKey);
+      // Server errors and throttling (429, e.g. a spent daily budget) are not
+      // stored so the device can retry them once the condition clears
+      if (res.statusCode < 500 && res.statusCode !== 429) {
+        entries[scopedKey] = { bodyHash, statusCode: res.statusCode, body, expiresAt: Date.now() + ttlMs };
+        save();
+      }
+      return json(body);
+    };
+
+    res.on('close', () => inFlight.delete(scopedKey));
+    next();
+  };
+}
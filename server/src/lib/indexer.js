@@ -0,0 +1,78 @@
+/**
+ * Topic indexer
+ * Periodically follows ledger topics (mirror node REST API or the local
+ * ledger) into local state, resuming from the last sequence number each
+ * target has seen.
+ */
+
+/**
+ * Create the indexer
+ * @param {object} options
+ * @param {object[]} options.targets - [{ name, topicId, sync: async (topicId) => messagesRead }]
+ * @returns {object} Indexer
+ */
+export function createTopicIndexer({ targets }) {
+  let timer = null;
+  let running = false;
+  const status = Object.fromEntries(targets.map(({ name, topicId }) => [
+    name,
+    { topicId: topicId || null, indexed: 0, lastRunAt: null, lastError: null }
+  ]));
+
+  /**
+   * Catch up every target once
+   * @returns {Promise<object>} name -> messages read in this run
+   */
+  async function tick() {
+    if (running) return {};
+    running = true;
+
+    const read = {};
+    try {
+      for (const { name, topicId, sync } of targets) {
+        if (!topicId) continue;
+        try {
+          read[name] = await sync(topicId);
+          status[name].indexed += read[name];
+          status[name].lastError = null;
+          if (read[name] > 0) console.log(`🗂️  Indexed ${read[name]} ${name} messages from ${topicId}`);
+        } catch (error) {
+          status[name].lastError = error.message;
+          console.warn(`⚠️  Indexing ${name} failed:`, error.message);
+        } finally {
+          status[name].lastRunAt = new Date().toISOString();
+        }
+      }
+    } finally {
+      running = false;
+    }
+
+    return read;
+  }
+
+  return {
+    tick,
+
+    status() {
+      return status;
+    },
+
+    /**
+     * Start following the topics
+     * @param {number} [intervalMs=10000]
+     */
+    start(intervalMs = 10000) {
+      if (timer) return;
+      tick().catch(error => console.error('❌ Indexer error:', error.message));
+      timer = setInterval(() => {
+        tick().catch(error => console.error('❌ Indexer error:', error.message));
+      }, intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * Small JSON file persistence helpers
+ * Writes are atomic (temp file + rename) so a crash never leaves half a file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Read a JSON file, returning a fallback when it does not exist
+ * @param {string} file - Path to the JSON file
+ * @param {*} fallback - Value returned when the file is missing
+ * @returns {*} Parsed contents
+ */
+export function readJsonFile(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Atomically write a value as pretty-printed JSON
+ * @param {string} file - Path to the JSON file
+ * @param {*} data - Serializable value
+ */
+export function writeJsonFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
@@ -0,0 +1,119 @@
+/**
+ * Merkle trees over attendance records
+ * Anyone can recompute a root from one record and its proof:
+ *
+ *   leaf hash = SHA-256(0x00 || canonical JSON of the record)
+ *   node hash = SHA-256(0x01 || left || right)
+ *
+ * Leaves are paired left to right; a level with an odd count carries its last
+ * hash up unchanged (never duplicated). Canonical JSON sorts object keys and
+ * has no whitespace. Hashes are hex strings.
+ */
+
+import crypto from 'crypto';
+
+export const MERKLE_ALGORITHM = 'sha256-merkle-v1';
+
+/**
+ * JSON with object keys sorted at every level
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const hash = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest('hex');
+
+/**
+ * Hash of a record as a leaf
+ * @param {object} record
+ * @returns {string}
+ */
+export function leafHash(record) {
+  return hash(Buffer.from([0]), Buffer.from(canonicalJson(record), 'utf-8'));
+}
+
+function nodeHash(left, right) {
+  return hash(Buffer.from([1]), Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+}
+
+// Every level, from the leaf hashes up to the root
+function buildLevels(leafHashes) {
+  const levels = [leafHashes];
+  while (levels.at(-1).length > 1) {
+    const level = levels.at(-1);
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? nodeHash(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+/**
+ * Root of a list of records (SHA-256 of nothing when empty)
+ * @param {object[]} records
+ * @returns {string}
+ */
+export function merkleRoot(records) {
+  if (records.length === 0) return hash(Buffer.alloc(0));
+  return buildLevels(records.map(leafHash)).at(-1)[0];
+}
+
+/**
+ * Inclusion proof of one record
+ * @param {object[]} records - All records, in leaf order
+ * @param {number} index - Leaf index
+ * @returns {object[]} Sibling hashes from the leaf up: [{ side: "left" | "right", hash }]
+ */
+export function inclusionProof(records, index) {
+  const levels = buildLevels(records.map(leafHash));
+  const proof = [];
+  let position = index;
+
+  for (const level of levels.slice(0, -1)) {
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    if (sibling < level.length) {
+      proof.push({ side: position % 2 === 0 ? 'right' : 'left', hash: level[sibling] });
+    }
+    position = Math.floor(position / 2);
+  }
+  return proof;
+}
+
+/**
+ * Recompute the root from a record and its proof
+ * @param {object} record
+ * @param {object[]} proof - From inclusionProof
+ * @returns {string} Root
+ */
+export function rootFromProof(record, proof) {
+  return proof.reduce(
+    (current, step) => (step.side === 'left' ? nodeHash(step.hash, current) : nodeHash(current, step.hash)),
+    leafHash(record)
+  );
+}
+
+/**
+ * Check that a record is included under a root
+ * @param {object} record
+ * @param {object[]} proof
+ * @param {string} root
+ * @returns {boolean}
+ */
+export function verifyInclusion(record, proof, root) {
+  if (!Array.isArray(proof) || proof.some(step => !['left', 'right'].includes(step?.side) || !/^[0-9a-f]{64}$/.test(step.hash))) {
+    return false;
+  }
+  return rootFromProof(record, proof) === root;
+}
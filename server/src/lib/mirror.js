@@ -0,0 +1,150 @@
+/**
+ * Ledger history readers
+ * Reads topic messages in mirror node format, either from the Hedera
+ * mirror node REST API or from the local ledger publisher.
+ */
+
+export const DEFAULT_MIRROR_URL = 'https://testnet.mirrornode.hedera.com';
+
+// Chunks of one message share the initial transaction id in chunk_info
+function chunkGroupKey({ chunk_info: info }) {
+  const id = info.initial_transaction_id || {};
+  return `${id.account_id}@${id.transaction_valid_start}#${id.nonce ?? 0}`;
+}
+
+// One mirror message from all chunks of a message, in chunk order. It keeps
+// the first chunk's sequence number and timestamp, like the publish receipt.
+function joinChunks(chunks) {
+  const ordered = [...chunks].sort((a, b) => a.chunk_info.number - b.chunk_info.number);
+  const { chunk_info: info, ...first } = ordered[0];
+  return {
+    ...first,
+    message: Buffer.concat(ordered.map(chunk => Buffer.from(chunk.message, 'base64'))).toString('base64'),
+    chunk_count: info.total
+  };
+}
+
+/**
+ * Create a reader backed by the mirror node REST API.
+ * HCS splits messages over 1024 bytes into chunks with their own sequence
+ * numbers; the reader returns each chunked message once, reassembled, at its
+ * first chunk's sequence number. Later chunks of a message that started at or
+ * before afterSequence were already returned and are skipped.
+ * @param {string} mirrorUrl - Mirror node base URL
+ * @returns {object} Reader with readMessages(topicId, options)
+ */
+export function createMirrorReader(mirrorUrl = DEFAULT_MIRROR_URL) {
+  async function fetchPage(topicId, afterSequence, limit) {
+    const url = `${mirrorUrl}/api/v1/topics/${topicId}/messages` +
+      `?sequencenumber=gt:${afterSequence}&limit=${limit}&order=asc`;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Mirror Node error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.messages || [];
+  }
+
+  return {
+    name: 'mirror',
+
+    async readMessages(topicId, { afterSequence = 0, limit = 100 } = {}) {
+      const messages = [];
+      const partial = new Map(); // group key -> chunks read so far
+      let cursor = afterSequence;
+      let exhausted = false;
+
+      // Keep reading until the page is full and no chunked message is left half read
+      while (!exhausted && (messages.length < limit || partial.size > 0)) {
+        const page = await fetchPage(topicId, cursor, limit);
+        exhausted = page.length < limit;
+
+        for (const msg of page) {
+          cursor = msg.sequence_number;
+          if (!(msg.chunk_info?.total > 1)) {
+            messages.push(msg);
+            continue;
+          }
+
+          const key = chunkGroupKey(msg);
+          if (msg.chunk_info.number === 1) partial.set(key, []);
+          if (!partial.has(key)) continue; // Started before afterSequence
+
+          const chunks = partial.get(key);
+          chunks.push(msg);
+          if (chunks.length === msg.chunk_info.total) {
+            messages.push(joinChunks(chunks));
+            partial.delete(key);
+          }
+        }
+      }
+
+      // Messages after a still incomplete one wait for the next read, so the
+      // caller's cursor never moves past a message it has not seen
+      const pending = Math.min(...[...partial.values()].map(chunks => chunks[0].sequence_number));
+      return messages
+        .filter(msg => msg.sequence_number < pending)
+        .sort((a, b) => a.sequence_number - b.sequence_number)
+        .slice(0, limit);
+    }
+  };
+}
+
+/**
+ * Pick the history reader matching the configured publisher
+ * @param {object} publisher - Ledger publisher
+ * @param {string} mirrorUrl - Mirror node base URL (HCS only)
+ * @returns {object} Reader
+ */
+export function createLedgerReader(publisher, mirrorUrl) {
+  if (publisher.readMessages) {
+    return {
+      name: publisher.name,
+      async readMessages(topicId, options) {
+        return publisher.readMessages(topicId, { ...options, order: 'asc' });
+      }
+    };
+  }
+  return createMirrorReader(mirrorUrl);
+}
+
+/**
+ * Iterate over every message of a topic after a sequence number, page by page
+ * @param {object} reader - Ledger reader
+ * @param {string} topicId
+ * @param {number} [afterSequence=0]
+ * @param {number} [pageSize=100]
+ * @returns {AsyncGenerator<object>} Mirror node style messages
+ */
+export async function* iterateTopic(reader, topicId, afterSequence = 0, pageSize = 100) {
+  let cursor = afterSequence;
+
+  while (true) {
+    const page = await reader.readMessages(topicId, { afterSequence: cursor, limit: pageSize });
+    for (const msg of page) {
+      yield msg;
+      cursor = msg.sequence_number;
+    }
+    if (page.length < pageSize) return;
+  }
+}
+
+/**
+ * Decode a mirror node message into its JSON payload
+ * @param {object} msg - Mirror node message
+ * @returns {object|null} Payload with consensusTimestamp and sequenceNumber, or null
+ */
+export function decodeMessage(msg) {
+  try {
+    const text = Buffer.from(msg.message, 'base64').toString('utf-8');
+    return {
+      ...JSON.parse(text),
+      consensusTimestamp: msg.consensus_timestamp,
+      sequenceNumber: msg.sequence_number
+    };
+  } catch (e) {
+    return null;
+  }
+}
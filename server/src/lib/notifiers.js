@@ -0,0 +1,200 @@
+/**
+ * Alert notification channels
+ * Each channel is an async function (alert, rule) => void; the alert engine
+ * calls the ones listed on a rule. Channels are built from server config, so
+ * adding one only means adding a factory here and registering it in server.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import net from 'net';
+import tls from 'tls';
+import { SENSOR_SCHEMA } from './sensors.js';
+
+/**
+ * One-line human description of an alert
+ * @param {object} alert - Alert payload (see createAlertEngine)
+ * @returns {string}
+ */
+export function describeAlert(alert) {
+  const unit = SENSOR_SCHEMA[alert.sensor]?.unit;
+  const withUnit = number => (unit ? `${number} ${unit}` : `${number}`);
+  const value = `${alert.sensor} ${withUnit(alert.value)}`;
+  const limit = `${alert.op} ${withUnit(alert.threshold)}`;
+  const where = `${alert.classId} (${alert.deviceId})`;
+
+  return alert.event === 'triggered'
+    ? `${where}: ${value} is ${limit} [${alert.ruleId}]`
+    : `${where}: ${value} back to normal [${alert.ruleId}]`;
+}
+
+/**
+ * Local log channel: console plus an append-only JSONL file
+ * @param {object} options
+ * @param {string} options.file - JSONL file
+ * @returns {Function} Channel
+ */
+export function createLogChannel({ file }) {
+  return async alert => {
+    console.log(`📣 ${describeAlert(alert)}`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify({ ...alert, loggedAt: new Date().toISOString() }) + '\n');
+  };
+}
+
+/**
+ * Webhook channel: POSTs { text, alert } as JSON
+ * @param {object} options
+ * @param {string} options.url
+ * @param {number} [options.timeoutMs=10000]
+ * @returns {Function} Channel
+ */
+export function createWebhookChannel({ url, timeoutMs = 10000 }) {
+  return async alert => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: `🚨 ${describeAlert(alert)}`, alert }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded ${response.status} ${response.statusText}`);
+    }
+  };
+}
+
+// Read SMTP replies ("250-..." continuation lines end with "250 ...")
+function createReplyReader(socket) {
+  let buffer = '';
+  let waiting = null;
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf-8');
+    const match = buffer.match(/(?:^|\r\n)(\d{3}) [^\r\n]*\r\n/);
+    if (match && waiting) {
+      const reply = buffer.slice(0, match.index + match[0].length);
+      buffer = buffer.slice(reply.length);
+      const { resolve } = waiting;
+      waiting = null;
+      resolve({ code: parseInt(match[1]), text: reply.trim() });
+    }
+  };
+  const onError = error => {
+    if (waiting) waiting.reject(error);
+    waiting = null;
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+
+  return {
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        onData(Buffer.alloc(0));
+      });
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onError);
+    }
+  };
+}
+
+// Header values come partly from devices (classId, ruleId): line breaks in them
+// would let a value add headers or end DATA and inject SMTP commands
+const headerValue = value => String(value).replace(/[\r\n]+/g, ' ');
+
+/**
+ * Send a plain-text email over SMTP (implicit TLS, STARTTLS when offered,
+ * AUTH LOGIN when credentials are set)
+ * @param {object} smtp - { host, port, secure, user, pass }
+ * @param {object} mail - { from, to: string[], subject, text }
+ * @returns {Promise<void>}
+ */
+export async function sendMail({ host, port, secure, user, pass }, { from, to, subject, text }) {
+  let socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+  socket.setTimeout(15000, () => socket.destroy(new Error('SMTP timeout')));
+  let replies = createReplyReader(socket);
+
+  const expect = async (codes, command) => {
+    if (command !== undefined) socket.write(`${command}\r\n`);
+    const reply = await replies.next();
+    if (!codes.includes(reply.code)) {
+      throw new Error(`SMTP ${command?.split(' ')[0] || 'greeting'} failed: ${reply.text}`);
+    }
+    return reply;
+  };
+
+  try {
+    await expect([220]);
+    let hello = await expect([250], 'EHLO eduair');
+
+    if (!secure && /STARTTLS/i.test(hello.text)) {
+      await expect([220], 'STARTTLS');
+      replies.detach();
+      socket = tls.connect({ socket, servername: host });
+      replies = createReplyReader(socket);
+      hello = await expect([250], 'EHLO eduair');
+    }
+
+    if (user) {
+      await expect([334], 'AUTH LOGIN');
+      await expect([334], Buffer.from(user).toString('base64'));
+      await expect([235], Buffer.from(pass || '').toString('base64'));
+    }
+
+    await expect([250], `MAIL FROM:<${headerValue(from)}>`);
+    for (const recipient of to) {
+      await expect([250, 251], `RCPT TO:<${headerValue(recipient)}>`);
+    }
+    await expect([354], 'DATA');
+
+    // Every line break (including a bare CR or LF) becomes CRLF before
+    // dot-stuffing, so no line of the body can end DATA
+    const body = text.replace(/\r\n|\r|\n/g, '\r\n').replace(/^\./gm, '..');
+    const message = [
+      `From: ${headerValue(from)}`,
+      `To: ${to.map(headerValue).join(', ')}`,
+      `Subject: ${headerValue(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      body
+    ].join('\r\n');
+    await expect([250], `${message}\r\n.`);
+    await expect([221], 'QUIT');
+  } finally {
+    socket.destroy();
+  }
+}
+
+/**
+ * SMTP channel: one email per alert transition
+ * @param {object} options
+ * @param {object} options.smtp - { host, port, secure, user, pass }
+ * @param {string} options.from
+ * @param {string[]} options.to
+ * @returns {Function} Channel
+ */
+export function createSmtpChannel({ smtp, from, to }) {
+  return async alert => {
+    const text = describeAlert(alert);
+    await sendMail(smtp, {
+      from,
+      to,
+      subject: `[EduAir] ${alert.event === 'triggered' ? 'Alert' : 'Resolved'}: ${alert.ruleId} in ${alert.classId}`,
+      text: [
+        text,
+        '',
+        `Rule: ${alert.sensor} ${alert.op} ${alert.threshold}`,
+        `Value: ${alert.value}`,
+        `Since: ${new Date(alert.since).toISOString()}`,
+        `At: ${new Date(alert.ts).toISOString()}`,
+        `Alert ID: ${alert.alertId}`
+      ].join('\n')
+    });
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * Durable outbox for ledger publishes
+ * Every accepted event is written to disk before publishing, then retried
+ * with exponential backoff until the ledger returns a consensus timestamp.
+ */
+
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+
+/**
+ * Compute the retry delay for a given attempt
+ * @param {number} attempts - Attempts made so far
+ * @param {number} baseDelayMs - Delay after the first failure
+ * @param {number} maxDelayMs - Upper bound
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(attempts, baseDelayMs, maxDelayMs) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Create an outbox
+ * @param {object} options
+ * @param {string} options.file - JSON file holding outbox items
+ * @param {Function} options.publish - async (topicId, payload) => receipt
+ * @param {number} [options.maxAttempts=10] - Attempts before an item is marked failed
+ * @param {number} [options.baseDelayMs=2000] - First retry delay
+ * @param {number} [options.maxDelayMs=300000] - Maximum retry delay
+ * @param {number} [options.retainPublished=500] - Published items kept for status lookups
+ * @param {Function} [options.onPublished] - Called with each item once published
+ * @returns {object} Outbox
+ */
+export function createOutbox({
+  file,
+  publish,
+  maxAttempts = 10,
+  baseDelayMs = 2000,
+  maxDelayMs = 300000,
+  retainPublished = 500,
+  onPublished = () => {}
+}) {
+  const items = readJsonFile(file, []);
+  const inFlight = new Set();
+  let timer = null;
+  let draining = false;
+
+  function save() {
+    const published = items.filter(i => i.status === 'published');
+    const excess = published.length - retainPublished;
+    if (excess > 0) {
+      const drop = new Set(published.slice(0, excess).map(i => i.id));
+      for (let i = items.length - 1; i >= 0; i--) {
+        if (drop.has(items[i].id)) items.splice(i, 1);
+      }
+    }
+    writeJsonFile(file, items);
+  }
+
+  function get(id) {
+    return items.find(i => i.id === id) || null;
+  }
+
+  async function attempt(item) {
+    if (inFlight.has(item.id) || item.status !== 'pending') return item;
+    inFlight.add(item.id);
+
+    try {
+      item.attempts++;
+      const receipt = await publish(item.topicId, item.payload);
+      item.status = 'published';
+      item.consensusTimestamp = receipt.consensusTimestamp;
+      item.sequenceNumber = receipt.sequenceNumber;
+      item.publishedAt = Date.now();
+      item.lastError = null;
+      save();
+      onPublished(item);
+    } catch (error) {
+      item.lastError = error.message;
+      if (item.attempts >= maxAttempts) {
+        item.status = 'failed';
+        console.error(`❌ Outbox item ${item.id} failed after ${item.attempts} attempts:`, error.message);
+      } else {
+        item.nextAttemptAt = Date.now() + backoffDelay(item.attempts, baseDelayMs, maxDelayMs);
+        console.warn(`⚠️  Outbox item ${item.id} queued for retry (attempt ${item.attempts}):`, error.message);
+      }
+      save();
+    } finally {
+      inFlight.delete(item.id);
+    }
+
+    return item;
+  }
+
+  /**
+   * Publish every pending item whose retry time has come
+   */
+  async function drain() {
+    if (draining) return;
+    draining = true;
+    try {
+      const due = items.filter(i => i.status === 'pending' && i.nextAttemptAt <= Date.now());
+      for (const item of due) {
+        await attempt(item);
+      }
+    } finally {
+      draining = false;
+    }
+  }
+
+  return {
+    /**
+     * Persist an event before it is published
+     * @param {string} topicId
+     * @param {object} payload
+     * @param {string} [id] - Item ID decided by the caller (e.g. stored with the event beforehand)
+     * @returns {object} Outbox item
+     */
+    enqueue(topicId, payload, id = crypto.randomUUID()) {
+      const item = {
+        id,
+        topicId,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        createdAt: Date.now(),
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        consensusTimestamp: null,
+        sequenceNumber: null
+      };
+      items.push(item);
+      save();
+      return item;
+    },
+
+    /**
+     * Try to publish a pending item immediately
+     * @param {string} id - Outbox item ID
+     * @returns {Promise<object>} Item after the attempt
+     */
+    async publishNow(id) {
+      const item = get(id);
+      if (!item) throw new Error(`Outbox item ${id} not found`);
+      return attempt(item);
+    },
+
+    drain,
+
+    /**
+     * Move failed items back to pending
+     * @param {string[]} [ids] - Items to replay (defaults to all failed items)
+     * @returns {object[]} Replayed items
+     */
+    replay(ids) {
+      const replayed = items.filter(i =>
+        i.status === 'failed' && (!ids || ids.includes(i.id))
+      );
+      for (const item of replayed) {
+        item.status = 'pending';
+        item.attempts = 0;
+        item.nextAttemptAt = Date.now();
+      }
+      if (replayed.length > 0) save();
+      return replayed;
+    },
+
+    get,
+
+    /**
+     * List items by status
+     * @param {string} status - "pending" | "failed" | "published"
+     * @returns {object[]}
+     */
+    list(status) {
+      return items.filter(i => i.status === status);
+    },
+
+    /**
+     * Queue statistics
+     * @returns {object} { depth, pending, failed, published }
+     */
+    stats() {
+      const count = status => items.filter(i => i.status === status).length;
+      const pending = count('pending');
+      const failed = count('failed');
+      return { depth: pending + failed, pending, failed, published: count('published') };
+    },
+
+    /**
+     * Start the background retry loop
+     * @param {number} [intervalMs=2000]
+     */
+    start(intervalMs = 2000) {
+      if (timer) return;
+      timer = setInterval(() => {
+        drain().catch(error => console.error('❌ Outbox drain error:', error.message));
+      }, intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,232 @@
+/**
+ * Ledger publishers
+ * Every publisher exposes the same interface so the API can run against
+ * Hedera Consensus Service or an offline, append-only local ledger.
+ *
+ *   publisher.publish(topicId, payload) -> { topicId, consensusTimestamp, sequenceNumber }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Client, TopicMessageSubmitTransaction } from '@hashgraph/sdk';
+import { sha384Hex } from './crypto.js';
+
+export const LEDGER_BACKENDS = ['hcs', 'local'];
+
+/**
+ * Create a publisher backed by Hedera Consensus Service
+ * @param {object} options
+ * @param {string} options.accountId - Operator account ID
+ * @param {string} options.privateKey - Operator private key
+ * @returns {object} Publisher
+ */
+export function createHcsPublisher({ accountId, privateKey }) {
+  if (!accountId || !privateKey) {
+    throw new Error('HCS publisher requires MY_ACCOUNT_ID and MY_PRIVATE_KEY');
+  }
+
+  const client = Client.forTestnet().setOperator(accountId, privateKey);
+
+  return {
+    name: 'hcs',
+
+    async publish(topicId, payload) {
+      const transaction = new TopicMessageSubmitTransaction()
+        .setTopicId(topicId)
+        .setMessage(JSON.stringify(payload));
+
+      const txResponse = await transaction.execute(client);
+      const record = await txResponse.getRecord(client);
+
+      return {
+        topicId,
+        consensusTimestamp: record.consensusTimestamp.toString(),
+        sequenceNumber: record.receipt.topicSequenceNumber?.toNumber() ?? null
+      };
+    },
+
+    close() {
+      client.close();
+    }
+  };
+}
+
+/**
+ * Format epoch nanoseconds as a mirror-node style "seconds.nanos" timestamp
+ * @param {bigint} ns - Nanoseconds since epoch
+ * @returns {string}
+ */
+function formatConsensusTimestamp(ns) {
+  const seconds = ns / 1000000000n;
+  const nanos = ns % 1000000000n;
+  return `${seconds}.${nanos.toString().padStart(9, '0')}`;
+}
+
+/**
+ * Parse a "seconds.nanos" timestamp into epoch nanoseconds
+ * @param {string} timestamp
+ * @returns {bigint}
+ */
+function parseConsensusTimestamp(timestamp) {
+  const [seconds, nanos = '0'] = timestamp.split('.');
+  return BigInt(seconds) * 1000000000n + BigInt(nanos.padEnd(9, '0'));
+}
+
+/**
+ * Create a publisher backed by append-only JSONL files (one per topic).
+ * Assigns sequence numbers, strictly increasing consensus-like timestamps
+ * and a running hash that chains every message to its predecessor.
+ * @param {object} options
+ * @param {string} options.dir - Directory holding the ledger files
+ * @returns {object} Publisher
+ */
+export function createLocalPublisher({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const topics = new Map(); // topicId -> { file, sequenceNumber, lastNs, runningHash }
+  const cache = new Map(); // topicId -> { offset, entries }: parsed messages and the bytes read so far
+
+  function topicFile(topicId) {
+    return path.join(dir, `${topicId.replace(/[^\w.-]/g, '_')}.jsonl`);
+  }
+
+  // Parsed messages of a topic; only lines appended since the last call are read
+  function readEntries(topicId) {
+    const file = topicFile(topicId);
+    if (!fs.existsSync(file)) return [];
+
+    let cached = cache.get(topicId);
+    const { size } = fs.statSync(file);
+    if (!cached || size < cached.offset) {
+      // First read, or the file was replaced: start over
+      cached = { offset: 0, entries: [] };
+      cache.set(topicId, cached);
+    }
+    if (size === cached.offset) return cached.entries;
+
+    const buffer = Buffer.alloc(size - cached.offset);
+    const fd = fs.openSync(file, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, cached.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // A line still being written is left for the next read
+    const end = buffer.lastIndexOf('\n') + 1;
+    for (const line of buffer.subarray(0, end).toString('utf-8').split('\n')) {
+      if (line) cached.entries.push(JSON.parse(line));
+    }
+    cached.offset += end;
+    return cached.entries;
+  }
+
+  // Index of the first entry after a sequence number (entries are in sequence order)
+  function firstAfter(entries, afterSequence) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (entries[mid].sequence_number > afterSequence) high = mid;
+      else low = mid + 1;
+    }
+    return low;
+  }
+
+  function loadTopic(topicId) {
+    if (topics.has(topicId)) return topics.get(topicId);
+
+    const entries = readEntries(topicId);
+    const last = entries[entries.length - 1];
+    const state = {
+      file: topicFile(topicId),
+      sequenceNumber: last ? last.sequence_number : 0,
+      lastNs: last ? parseConsensusTimestamp(last.consensus_timestamp) : 0n,
+      runningHash: last ? last.running_hash : ''
+    };
+
+    topics.set(topicId, state);
+    return state;
+  }
+
+  return {
+    name: 'local',
+
+    async publish(topicId, payload) {
+      if (!topicId) {
+        throw new Error('Missing topic ID');
+      }
+
+      const state = loadTopic(topicId);
+      const message = Buffer.from(JSON.stringify(payload)).toString('base64');
+
+      const nowNs = BigInt(Date.now()) * 1000000n;
+      const consensusNs = nowNs > state.lastNs ? nowNs : state.lastNs + 1n;
+
+      const entry = {
+        consensus_timestamp: formatConsensusTimestamp(consensusNs),
+        topic_id: topicId,
+        sequence_number: state.sequenceNumber + 1,
+        running_hash: sha384Hex(state.runningHash + message),
+        message
+      };
+
+      fs.appendFileSync(state.file, JSON.stringify(entry) + '\n');
+
+      state.sequenceNumber = entry.sequence_number;
+      state.lastNs = consensusNs;
+      state.runningHash = entry.running_hash;
+
+      return {
+        topicId,
+        consensusTimestamp: entry.consensus_timestamp,
+        sequenceNumber: entry.sequence_number
+      };
+    },
+
+    /**
+     * Read messages in mirror node format
+     * @param {string} topicId
+     * @param {object} [options]
+     * @param {number} [options.afterSequence=0] - Only return messages after this sequence number
+     * @param {number} [options.limit=25] - Maximum messages to return
+     * @param {string} [options.order='asc'] - "asc" | "desc"
+     * @returns {object[]} Mirror node style messages
+     */
+    readMessages(topicId, { afterSequence = 0, limit = 25, order = 'asc' } = {}) {
+      const entries = readEntries(topicId);
+      const start = firstAfter(entries, afterSequence);
+      if (order === 'desc') {
+        return entries.slice(Math.max(start, entries.length - limit)).reverse();
+      }
+      return entries.slice(start, start + limit);
+    },
+
+    close() {}
+  };
+}
+
+/**
+ * Create the publisher selected by configuration
+ * @param {object} env - Environment variables (usually process.env)
+ * @param {string} defaultDir - Default local ledger directory
+ * @returns {object} Publisher
+ */
+export function createPublisher(env, defaultDir) {
+  const backend = env.LEDGER_BACKEND || 'hcs';
+
+  if (backend === 'hcs') {
+    return createHcsPublisher({
+      accountId: env.MY_ACCOUNT_ID,
+      privateKey: env.MY_PRIVATE_KEY
+    });
+  }
+
+  if (backend === 'local') {
+    return createLocalPublisher({ dir: env.LEDGER_DIR || defaultDir });
+  }
+
+  throw new Error(
+    `Unknown LEDGER_BACKEND "${backend}" (expected one of: ${LEDGER_BACKENDS.join(', ')})`
+  );
+}
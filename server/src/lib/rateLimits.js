@@ -0,0 +1,228 @@
+/**
+ * Ingest rate limits and daily publish budgets
+ * Every accepted ingest request can become a paid ledger transaction, so a
+ * looping device must not be able to publish without bound. Requests are
+ * counted in fixed windows per client IP and per device, and the ledger
+ * messages published for each device are counted per UTC day against a
+ * budget. Requests without an authenticated device (DEVICE_AUTH=off) are
+ * limited and charged by client IP. Throttled requests get 429 with a
+ * Retry-After header.
+ *
+ * Counters live in memory; daily usage is flushed to disk on an interval so a
+ * flood of requests never turns into a file write per request:
+ * { [day]: { devices: { [key]: { published, throttled } }, ips: { [ip]: { throttled } } } }
+ */
+
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+
+// Days of usage kept for the admin endpoint
+const HISTORY_DAYS = 7;
+
+const DAY_MS = 24 * 3600 * 1000;
+
+const dayOf = ms => new Date(ms).toISOString().slice(0, 10);
+
+/**
+ * Key a request is limited and charged under: the authenticated device, or
+ * "ip:<address>" when there is none (self-reported deviceIds are not trusted)
+ * @param {object} req - Express request
+ * @returns {string}
+ */
+export function deviceKeyOf(req) {
+  return req.device?.deviceId || `ip:${req.ip}`;
+}
+
+/**
+ * Create the ingest limiter
+ * @param {object} options
+ * @param {string} options.file - JSON file holding daily usage
+ * @param {number} [options.ipPerWindow=120] - Requests per IP and window (0 = unlimited)
+ * @param {number} [options.devicePerWindow=60] - Requests per device and window (0 = unlimited)
+ * @param {number} [options.dailyBudget=5000] - Published messages per device and UTC day (0 = unlimited)
+ * @param {number} [options.windowMs=60000] - Rate window length
+ * @returns {object} { byIp, byDevice, withinBudget, charge, usage, limits, start, stop, flush }
+ */
+export function createIngestLimits({ file, ipPerWindow = 120, devicePerWindow = 60, dailyBudget = 5000, windowMs = 60000 }) {
+  const days = readJsonFile(file, {});
+  const windows = { ip: new Map(), device: new Map() }; // key -> { start, count }
+  let dirty = false;
+  let timers = [];
+
+  function flush() {
+    if (!dirty) return;
+    for (const day of Object.keys(days).sort().slice(0, -HISTORY_DAYS)) delete days[day];
+    writeJsonFile(file, days);
+    dirty = false;
+  }
+
+  // Drop counters of windows that have ended
+  function prune() {
+    const now = Date.now();
+    for (const counters of Object.values(windows)) {
+      for (const [key, counter] of counters) {
+        if (counter.start + windowMs <= now) counters.delete(key);
+      }
+    }
+  }
+
+  function today() {
+    const day = dayOf(Date.now());
+    if (!days[day]) days[day] = { devices: {}, ips: {} };
+    return days[day];
+  }
+
+  function deviceUsage(key) {
+    const usage = today().devices;
+    if (!usage[key]) usage[key] = { published: 0, throttled: 0 };
+    return usage[key];
+  }
+
+  // Count a request in its window; returns the seconds to wait when over the limit
+  function hit(scope, key, limit) {
+    if (!limit) return 0;
+
+    const now = Date.now();
+    let counter = windows[scope].get(key);
+    if (!counter || counter.start + windowMs <= now) {
+      counter = { start: now, count: 0 };
+      windows[scope].set(key, counter);
+    }
+    counter.count += 1;
+    return counter.count > limit ? Math.ceil((counter.start + windowMs - now) / 1000) : 0;
+  }
+
+  function throttle(res, retryAfter, reason, message) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ status: 'error', message, reason, retryAfter });
+  }
+
+  function currentCount(scope, key) {
+    const counter = windows[scope].get(key);
+    return counter && counter.start + windowMs > Date.now() ? counter.count : 0;
+  }
+
+  function remaining(key) {
+    return dailyBudget ? Math.max(dailyBudget - (today().devices[key]?.published || 0), 0) : Infinity;
+  }
+
+  /**
+   * Answer 429 unless a request's device may still publish `count` messages today
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {number} [count=1] - Messages the request will publish
+   * @returns {boolean} Whether the request may go on (false: 429 was sent)
+   */
+  function withinBudget(req, res, count = 1) {
+    const key = deviceKeyOf(req);
+    if (count <= remaining(key)) return true;
+
+    deviceUsage(key).throttled += 1;
+    dirty = true;
+    console.warn(`🚦 Throttled ${req.method} ${req.path} from ${key} (daily budget: ${count} messages, ${remaining(key)} left)`);
+    throttle(res, Math.ceil((DAY_MS - (Date.now() % DAY_MS)) / 1000), 'budget_exhausted',
+      `Daily publish budget of ${key} does not cover ${count} more message(s) (${dailyBudget} per UTC day, ${remaining(key)} left)`);
+    return false;
+  }
+
+  return {
+    limits: { ipPerWindow, devicePerWindow, dailyBudget, windowMs },
+
+    /**
+     * Middleware limiting requests per client IP (before device auth, so
+     * signature checks cannot be flooded either)
+     */
+    byIp(req, res, next) {
+      const retryAfter = hit('ip', req.ip, ipPerWindow);
+      if (!retryAfter) return next();
+
+      const usage = today().ips;
+      usage[req.ip] = { throttled: (usage[req.ip]?.throttled || 0) + 1 };
+      dirty = true;
+      console.warn(`🚦 Throttled ${req.method} ${req.path} from ${req.ip} (IP rate limit)`);
+      return throttle(res, retryAfter, 'rate_limited', `Rate limit exceeded for ${req.ip} (${ipPerWindow} requests per ${windowMs / 1000}s)`);
+    },
+
+    /**
+     * Middleware limiting requests per device and refusing devices whose
+     * daily budget is spent
+     */
+    byDevice(req, res, next) {
+      const key = deviceKeyOf(req);
+
+      // A spent budget outlasts any rate window, so it is reported first
+      if (!withinBudget(req, res)) return;
+
+      const retryAfter = hit('device', key, devicePerWindow);
+      if (!retryAfter) return next();
+
+      deviceUsage(key).throttled += 1;
+      dirty = true;
+      console.warn(`🚦 Throttled ${req.method} ${req.path} from ${key} (rate limit)`);
+      return throttle(res, retryAfter, 'rate_limited', `Rate limit exceeded for ${key} (${devicePerWindow} requests per ${windowMs / 1000}s)`);
+    },
+
+    withinBudget,
+
+    /**
+     * Count ledger messages published for a request's device
+     * @param {object} req - Express request
+     * @param {number} [count=1]
+     */
+    charge(req, count = 1) {
+      if (count <= 0) return;
+      deviceUsage(deviceKeyOf(req)).published += count;
+      dirty = true;
+    },
+
+    /**
+     * Usage of one UTC day, with the live window counts for today
+     * @param {string} [day] - YYYY-MM-DD (defaults to today)
+     * @returns {object} { day, limits, devices: [...], ips: [...] }
+     */
+    usage(day = dayOf(Date.now())) {
+      const stored = days[day] || { devices: {}, ips: {} };
+      const live = day === dayOf(Date.now());
+
+      const keys = new Set([...Object.keys(stored.devices), ...(live ? windows.device.keys() : [])]);
+      const ips = new Set([...Object.keys(stored.ips), ...(live ? windows.ip.keys() : [])]);
+
+      return {
+        day,
+        limits: { ipPerWindow, devicePerWindow, dailyBudget, windowMs },
+        devices: [...keys].sort().map(deviceId => {
+          const { published = 0, throttled = 0 } = stored.devices[deviceId] || {};
+          return {
+            deviceId,
+            published,
+            remaining: dailyBudget ? Math.max(dailyBudget - published, 0) : null,
+            throttled,
+            ...(live && { windowRequests: currentCount('device', deviceId) })
+          };
+        }),
+        ips: [...ips].sort().map(ip => ({
+          ip,
+          throttled: stored.ips[ip]?.throttled || 0,
+          ...(live && { windowRequests: currentCount('ip', ip) })
+        }))
+      };
+    },
+
+    flush,
+
+    /**
+     * Start flushing usage to disk and pruning ended windows in the background
+     * @param {number} [flushMs=5000]
+     */
+    start(flushMs = 5000) {
+      if (timers.length) return;
+      timers = [setInterval(flush, flushMs), setInterval(prune, windowMs)];
+      timers.forEach(timer => timer.unref());
+    },
+
+    stop() {
+      timers.forEach(clearInterval);
+      timers = [];
+      flush();
+    }
+  };
+}
@@ -0,0 +1,221 @@
+/**
+ * Telemetry rollups
+ * Downsamples indexed telemetry into 1-minute, 15-minute and hourly buckets
+ * per classId/deviceId, with min/max/avg/p95 per sensor. Each resolution is
+ * stored as one JSON file per UTC day, so week- or term-long charts read a
+ * few small files instead of every raw reading. Readings of today and
+ * yesterday are added to buckets kept in memory as the index appends them;
+ * only late readings of older days (backfill) rebuild a whole day.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+
+export const RESOLUTIONS = {
+  '1m': 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000
+};
+
+// Longest range one query may cover at each resolution
+export const MAX_RANGE_DAYS = {
+  '1m': 7,
+  '15m': 93,
+  '1h': 400
+};
+
+const DAY_MS = 86400000;
+
+/**
+ * Statistics of a list of values
+ * @param {number[]} values - Non-empty
+ * @returns {object} { min, max, avg, p95, count }
+ */
+export function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const sum = sorted.reduce((total, value) => total + value, 0);
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    avg: round(sum / sorted.length),
+    // Nearest-rank percentile
+    p95: sorted[Math.ceil(0.95 * sorted.length) - 1],
+    count: sorted.length
+  };
+}
+
+// Add a reading's values to its bucket group; returns the group's key
+function addToGroup(groups, reading, bucketMs) {
+  const start = Math.floor(reading.ts / bucketMs) * bucketMs;
+  const key = `${start}|${reading.classId}|${reading.deviceId}`;
+  if (!groups.has(key)) {
+    groups.set(key, { start, classId: reading.classId, deviceId: reading.deviceId, count: 0, values: {} });
+  }
+
+  const group = groups.get(key);
+  group.count++;
+  for (const [sensor, value] of Object.entries(reading.sensors)) {
+    if (!Number.isFinite(value)) continue;
+    (group.values[sensor] ||= []).push(value);
+  }
+  return key;
+}
+
+const bucketOf = ({ values, ...bucket }) => ({
+  ...bucket,
+  sensors: Object.fromEntries(Object.entries(values).map(([sensor, list]) => [sensor, summarize(list)]))
+});
+
+/**
+ * Group readings into buckets of one resolution
+ * @param {object[]} readings - Indexed readings ({ ts, classId, deviceId, sensors })
+ * @param {number} bucketMs - Bucket width
+ * @returns {object[]} [{ start, classId, deviceId, count, sensors: { key: stats } }] by start
+ */
+export function bucketReadings(readings, bucketMs) {
+  const groups = new Map();
+  for (const reading of readings) addToGroup(groups, reading, bucketMs);
+  return [...groups.values()].map(bucketOf).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Create the rollup store
+ * @param {object} options
+ * @param {string} options.dir - Directory holding one folder per resolution
+ * @param {object} options.index - Telemetry index (see createTelemetryIndex)
+ * @returns {object} Rollup store
+ */
+export function createTelemetryRollups({ dir, index }) {
+  const rollupFile = (resolution, day) => path.join(dir, resolution, `${day}.json`);
+  const dayOf = ts => new Date(ts).toISOString().slice(0, 10);
+  const readingKey = reading => `${reading.topicId}:${reading.sequenceNumber}:${reading.index}`;
+
+  // Days updated in place: day -> { seen: Set, resolutions: { [resolution]: { groups, buckets } } }
+  // where groups keep the raw values (p95 cannot be merged) and buckets the summaries
+  const live = new Map();
+
+  function rebuildDay(day) {
+    const readings = index.readDay(day);
+    for (const [resolution, bucketMs] of Object.entries(RESOLUTIONS)) {
+      writeJsonFile(rollupFile(resolution, day), { day, resolution, buckets: bucketReadings(readings, bucketMs) });
+    }
+  }
+
+  // Load a day's readings into memory (the index file already holds the new ones)
+  function loadDay(day) {
+    const state = { seen: new Set(), resolutions: {} };
+    for (const resolution of Object.keys(RESOLUTIONS)) {
+      state.resolutions[resolution] = { groups: new Map(), buckets: new Map() };
+    }
+    live.set(day, state);
+    return state;
+  }
+
+  // Add readings of one live day, re-summarizing only the buckets they touch
+  function addToDay(day, readings) {
+    const loaded = live.get(day);
+    const fresh = loaded ? readings : index.readDay(day);
+    const state = loaded || loadDay(day);
+
+    const touched = Object.fromEntries(Object.keys(RESOLUTIONS).map(resolution => [resolution, new Set()]));
+    for (const reading of fresh) {
+      const key = readingKey(reading);
+      if (state.seen.has(key)) continue;
+      state.seen.add(key);
+      for (const [resolution, bucketMs] of Object.entries(RESOLUTIONS)) {
+        touched[resolution].add(addToGroup(state.resolutions[resolution].groups, reading, bucketMs));
+      }
+    }
+
+    for (const [resolution, { groups, buckets }] of Object.entries(state.resolutions)) {
+      for (const key of touched[resolution]) buckets.set(key, bucketOf(groups.get(key)));
+      const sorted = [...buckets.values()].sort((a, b) => a.start - b.start);
+      writeJsonFile(rollupFile(resolution, day), { day, resolution, buckets: sorted });
+    }
+  }
+
+  return {
+    /**
+     * Add readings the index just appended. Today's and yesterday's buckets
+     * are updated in memory; an older day is rebuilt from its index file.
+     * @param {object[]} readings - Indexed readings (with topicId)
+     */
+    add(readings) {
+      const now = Date.now();
+      const recent = new Set([dayOf(now), dayOf(now - DAY_MS)]);
+      for (const day of live.keys()) {
+        if (!recent.has(day)) live.delete(day);
+      }
+
+      const byDay = new Map();
+      for (const reading of readings) {
+        const day = dayOf(reading.ts);
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(reading);
+      }
+
+      for (const [day, dayReadings] of byDay) {
+        if (recent.has(day)) {
+          addToDay(day, dayReadings);
+        } else {
+          rebuildDay(day);
+        }
+      }
+    },
+
+    /**
+     * Rebuild the rollups of every day whose index file changed since they
+     * were last built (on first run, every indexed day); run at startup
+     * @returns {number} Days rebuilt
+     */
+    refresh() {
+      let rebuilt = 0;
+      for (const { day, modifiedAt } of index.days()) {
+        const file = rollupFile('1h', day);
+        if (fs.existsSync(file) && fs.statSync(file).mtimeMs >= modifiedAt) continue;
+        rebuildDay(day);
+        rebuilt++;
+      }
+      return rebuilt;
+    },
+
+    /**
+     * Buckets in a time range
+     * @param {object} query
+     * @param {string} query.resolution - One of RESOLUTIONS
+     * @param {number} query.from - Start (ms); the bucket containing it is included
+     * @param {number} query.to - End (ms, inclusive)
+     * @param {string[]} [query.classIds] - Only buckets of these classes
+     * @param {string} [query.deviceId]
+     * @param {string[]} [query.sensors] - Only these sensors
+     * @returns {object[]} Buckets ordered by start
+     */
+    query({ resolution, from, to, classIds, deviceId, sensors }) {
+      const buckets = [];
+
+      for (let day = Math.floor(from / DAY_MS) * DAY_MS; day <= to; day += DAY_MS) {
+        const date = new Date(day).toISOString().slice(0, 10);
+        const { buckets: stored = [] } = readJsonFile(rollupFile(resolution, date), {});
+
+        for (const bucket of stored) {
+          if (bucket.start + RESOLUTIONS[resolution] <= from || bucket.start > to) continue;
+          if (classIds && !classIds.includes(bucket.classId)) continue;
+          if (deviceId && bucket.deviceId !== deviceId) continue;
+
+          if (sensors) {
+            const picked = Object.fromEntries(Object.entries(bucket.sensors).filter(([key]) => sensors.includes(key)));
+            if (Object.keys(picked).length === 0) continue;
+            buckets.push({ ...bucket, sensors: picked });
+          } else {
+            buckets.push(bucket);
+          }
+        }
+      }
+
+      return buckets.sort((a, b) => a.start - b.start);
+    }
+  };
+}
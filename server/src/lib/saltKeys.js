@@ -0,0 +1,150 @@
+/**
+ * Versioned salt secrets
+ * Session salts are derived from a secret; rotating it must not make the
+ * hashes of past sessions unverifiable. Each secret therefore has a version
+ * and an activation time: a session uses the newest version activated at or
+ * before its start, and every older version stays in the keyring so the
+ * hashes published with it can still be re-derived. Attendance payloads carry
+ * the saltVersion they were hashed with.
+ *
+ * Version 1 is the legacy SALT_SECRET from the environment until the first
+ * rotation writes the keyring file (mode 0600, never published).
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+import { deriveSessionSalt, computeUidHash } from './crypto.js';
+
+export const DEFAULT_SALT_SECRET = 'default-secret-change-me';
+
+// Secrets anyone can read in this repository (the built-in default and the .env.example value)
+const PUBLIC_SECRETS = [DEFAULT_SALT_SECRET, 'your-super-secret-salt-change-me'];
+
+const EPOCH_ISO = new Date(0).toISOString();
+
+/**
+ * Create the salt keyring
+ * @param {object} options
+ * @param {string} options.file - Keyring JSON file { keys: [{ version, secret, activatedAt }] }
+ * @param {string} [options.legacySecret] - SALT_SECRET, used as version 1 until the keyring exists
+ * @returns {object} Keyring
+ */
+export function createSaltKeyring({ file, legacySecret }) {
+  let keys = [];
+  let loadedMtime = null;
+
+  // (Re)load the keyring when the file changed, e.g. after a rotation
+  function load() {
+    const mtime = fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0;
+    if (mtime === loadedMtime) return keys;
+
+    const stored = readJsonFile(file, null);
+    keys = stored?.keys?.length
+      ? [...stored.keys].sort((a, b) => a.version - b.version)
+      : [{ version: 1, secret: legacySecret || DEFAULT_SALT_SECRET, activatedAt: EPOCH_ISO }];
+    loadedMtime = mtime;
+    return keys;
+  }
+
+  function versionFor(sessionStartIso) {
+    const start = Date.parse(sessionStartIso);
+    const active = load().filter(key => Date.parse(key.activatedAt) <= start);
+    return (active.length ? active : load().slice(0, 1)).at(-1).version;
+  }
+
+  function keyFor(version) {
+    const key = load().find(k => k.version === version);
+    if (!key) throw new Error(`Unknown salt version ${version}`);
+    return key;
+  }
+
+  return {
+    /**
+     * Whether new sessions would be salted with a default or example secret
+     * (older versions may keep one: they are only used for verification)
+     * @returns {boolean}
+     */
+    usesDefaultSecret() {
+      return PUBLIC_SECRETS.includes(load().at(-1).secret);
+    },
+
+    /**
+     * Version used by a session: the newest one activated at or before its start
+     * @param {string} sessionStartIso
+     * @returns {number}
+     */
+    versionFor,
+
+    /**
+     * Session salt and the version it was derived with
+     * @param {string} classId
+     * @param {string} sessionStartIso
+     * @param {number} [version] - Defaults to the session's version
+     * @returns {object} { sessionSalt, saltVersion }
+     */
+    saltFor(classId, sessionStartIso, version = versionFor(sessionStartIso)) {
+      return {
+        sessionSalt: deriveSessionSalt(keyFor(version).secret, classId, sessionStartIso),
+        saltVersion: version
+      };
+    },
+
+    /**
+     * Versions without their secrets
+     * @returns {object[]} [{ version, activatedAt }]
+     */
+    versions() {
+      return load().map(({ version, activatedAt }) => ({ version, activatedAt }));
+    },
+
+    /**
+     * Add a new version; sessions starting at or after activatedAt use it.
+     * Activation cannot be in the past: sessions that already started keep their salt.
+     * @param {string} [activatedAt] - ISO time (defaults to now)
+     * @returns {object} { version, activatedAt }
+     */
+    rotate(activatedAt) {
+      const now = Date.now();
+      const at = activatedAt ? Date.parse(activatedAt) : now;
+      if (Number.isNaN(at)) throw new Error(`Invalid activation time: ${activatedAt}`);
+      if (at < now) throw new Error('Activation cannot be in the past');
+
+      const current = load();
+      const latest = current.at(-1);
+      activatedAt = new Date(at).toISOString();
+      if (at <= Date.parse(latest.activatedAt)) {
+        throw new Error(`Activation must be after version ${latest.version} (${latest.activatedAt})`);
+      }
+
+      const key = { version: latest.version + 1, secret: crypto.randomBytes(32).toString('hex'), activatedAt };
+      writeJsonFile(file, { keys: [...current, key] });
+      fs.chmodSync(file, 0o600);
+      return { version: key.version, activatedAt };
+    }
+  };
+}
+
+/**
+ * Map every hash the current roster produces for the scheduled sessions back
+ * to its student, using each session's own salt version. The index is local
+ * (it links hashes to identities) and is never published.
+ * @param {object} keyring - Salt keyring
+ * @param {object} classStore - Class store (schedule and roster)
+ * @returns {object} { generatedAt, versions, hashes: { [uidHash]: { classId, session, studentId, saltVersion } } }
+ */
+export function buildHashIndex(keyring, classStore) {
+  const hashes = {};
+
+  for (const { classId, session } of classStore.listSessions()) {
+    const students = classStore.getRoster(classId)?.students || [];
+    const { sessionSalt, saltVersion } = keyring.saltFor(classId, session.startIso);
+
+    for (const student of students) {
+      const uidHash = computeUidHash(student.cardUidHex, sessionSalt);
+      hashes[uidHash] = { classId, session: session.id, studentId: student.studentId, saltVersion };
+    }
+  }
+
+  return { generatedAt: new Date().toISOString(), versions: keyring.versions(), hashes };
+}
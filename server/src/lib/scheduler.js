@@ -0,0 +1,126 @@
+/**
+ * Automatic session closing
+ * Closes every scheduled session once it has ended (plus a grace period)
+ * and keeps a durable log of which sessions were closed, when and by whom.
+ */
+
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+import { sessionKey } from './attendanceStore.js';
+
+/**
+ * Create the closed-session log
+ * @param {object} options
+ * @param {string} options.file - JSON file holding closed sessions
+ * @returns {object} Log
+ */
+export function createClosedSessionLog({ file }) {
+  const closed = readJsonFile(file, {}); // "classId:session" -> entry
+
+  return {
+    has(classId, session) {
+      return !!closed[sessionKey(classId, session)];
+    },
+
+    /**
+     * Record a close; the first close of a session is kept
+     * @param {object} entry
+     * @param {string} entry.classId
+     * @param {string} entry.session
+     * @param {string} entry.closedBy - "scheduler" or the closing user
+     * @param {number} entry.markedAbsent
+     */
+    record({ classId, session, closedBy, markedAbsent }) {
+      const key = sessionKey(classId, session);
+      if (closed[key]) return;
+
+      closed[key] = { classId, session, closedBy, markedAbsent, closedAt: new Date().toISOString() };
+      writeJsonFile(file, closed);
+    },
+
+    list() {
+      return Object.values(closed).sort((a, b) => a.closedAt.localeCompare(b.closedAt));
+    }
+  };
+}
+
+/**
+ * Compute when a session ends
+ * @param {object} session - Schedule entry with startIso and durationMin
+ * @returns {number} Unix timestamp in milliseconds
+ */
+export function sessionEndTime(session) {
+  return new Date(session.startIso).getTime() + (session.durationMin || 0) * 60000;
+}
+
+/**
+ * Create the session scheduler
+ * @param {object} options
+ * @param {Function} options.listSessions - () => [{ classId, session }] with startIso/durationMin
+ * @param {Function} options.closeSession - async (classId, sessionId, closedBy) => result
+ * @param {object} options.log - Closed-session log
+ * @param {number} [options.graceMin=10] - Minutes after the end before closing
+ * @param {number} [options.lookbackHours=24] - Ignore sessions that ended longer ago
+ * @returns {object} Scheduler
+ */
+export function createSessionScheduler({ listSessions, closeSession, log, graceMin = 10, lookbackHours = 24 }) {
+  let timer = null;
+  let running = false;
+
+  /**
+   * Close every session that is due
+   * @returns {Promise<object[]>} Sessions closed in this run
+   */
+  async function tick() {
+    if (running) return [];
+    running = true;
+
+    const closedNow = [];
+    try {
+      const now = Date.now();
+
+      for (const { classId, session } of listSessions()) {
+        if (log.has(classId, session.id)) continue;
+
+        const closeAt = sessionEndTime(session) + graceMin * 60000;
+        if (closeAt > now || closeAt < now - lookbackHours * 3600000) continue;
+
+        try {
+          const result = await closeSession(classId, session.id, 'scheduler');
+          if (result.error) {
+            console.warn(`⚠️  Auto-close skipped ${classId}/${session.id}: ${result.error}`);
+            continue;
+          }
+          console.log(`⏰ Auto-closed ${classId}/${session.id} (${result.markedAbsent} marked absent)`);
+          closedNow.push({ classId, session: session.id, markedAbsent: result.markedAbsent });
+        } catch (error) {
+          console.error(`❌ Auto-close failed for ${classId}/${session.id}:`, error.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+
+    return closedNow;
+  }
+
+  return {
+    tick,
+
+    /**
+     * Start checking for due sessions
+     * @param {number} [intervalMs=60000]
+     */
+    start(intervalMs = 60000) {
+      if (timer) return;
+      timer = setInterval(() => {
+        tick().catch(error => console.error('❌ Scheduler error:', error.message));
+      }, intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
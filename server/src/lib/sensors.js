@@ -0,0 +1,88 @@
+/**
+ * Sensor schema registry
+ * Declares the canonical sensor keys, their units, physical valid ranges and
+ * precision, plus the aliases older firmware and scripts still send.
+ */
+
+export const SENSOR_SCHEMA_VERSION = 1;
+
+export const SENSOR_SCHEMA = {
+  tempC: { label: 'Temperature', unit: '°C', min: -40, max: 85, precision: 1, aliases: ['temp', 'temperature'] },
+  humPct: { label: 'Humidity', unit: '%', min: 0, max: 100, precision: 1, aliases: ['hum', 'humidity'] },
+  co2ppm: { label: 'CO₂', unit: 'ppm', min: 0, max: 10000, precision: 0, aliases: ['co2'] },
+  pm25: { label: 'PM2.5', unit: 'µg/m³', min: 0, max: 1000, precision: 1, aliases: ['pm2_5', 'pm2.5'] },
+  pm10: { label: 'PM10', unit: 'µg/m³', min: 0, max: 1000, precision: 1, aliases: [] },
+  noiseDb: { label: 'Noise', unit: 'dB', min: 20, max: 130, precision: 1, aliases: ['noise', 'db'] },
+  lightLux: { label: 'Light', unit: 'lux', min: 0, max: 100000, precision: 0, aliases: ['light', 'lux'] },
+  pressureHpa: { label: 'Pressure', unit: 'hPa', min: 300, max: 1100, precision: 1, aliases: ['pressure'] }
+};
+
+// Lower-cased key or alias -> canonical key
+const KEY_INDEX = new Map();
+for (const [key, def] of Object.entries(SENSOR_SCHEMA)) {
+  KEY_INDEX.set(key.toLowerCase(), key);
+  def.aliases.forEach(alias => KEY_INDEX.set(alias.toLowerCase(), key));
+}
+
+/**
+ * Resolve a sensor key or alias to its canonical key
+ * @param {string} key
+ * @returns {string|null}
+ */
+export function canonicalSensorKey(key) {
+  return KEY_INDEX.get(String(key).toLowerCase()) || null;
+}
+
+/**
+ * Normalize a sensors object against the schema
+ * @param {object} sensors - Raw sensors object from a device
+ * @returns {object} { sensors, flagged, outOfRange } where sensors only holds
+ *   canonical keys with valid, rounded values and flagged maps each dropped
+ *   key, as sent, to { value, reason } (empty strings count as missing and are
+ *   dropped without a flag)
+ */
+export function normalizeSensors(sensors) {
+  const normalized = {};
+  const flagged = {};
+  const outOfRange = [];
+
+  // Canonical keys first so they win over aliases sent alongside them
+  const entries = Object.entries(sensors).sort(([a], [b]) =>
+    Number(!(a in SENSOR_SCHEMA)) - Number(!(b in SENSOR_SCHEMA))
+  );
+
+  for (const [rawKey, rawValue] of entries) {
+    const key = canonicalSensorKey(rawKey);
+
+    if (!key) {
+      flagged[rawKey] = { value: rawValue, reason: 'unknown_sensor' };
+      continue;
+    }
+
+    // Devices send "" for a sensor they could not read; that is no reading at all
+    if (typeof rawValue === 'string' && rawValue.trim() === '') continue;
+
+    if (key in normalized) {
+      flagged[rawKey] = { value: rawValue, reason: 'duplicate_alias' };
+      continue;
+    }
+
+    const value = typeof rawValue === 'string' ? Number(rawValue) : rawValue;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      flagged[rawKey] = { value: rawValue, reason: 'not_a_number' };
+      continue;
+    }
+
+    const def = SENSOR_SCHEMA[key];
+    if (value < def.min || value > def.max) {
+      flagged[rawKey] = { value, reason: 'out_of_range' };
+      outOfRange.push(`${key}=${value} (valid ${def.min}..${def.max} ${def.unit})`);
+      continue;
+    }
+
+    const factor = 10 ** def.precision;
+    normalized[key] = Math.round(value * factor) / factor;
+  }
+
+  return { sensors: normalized, flagged, outOfRange };
+}
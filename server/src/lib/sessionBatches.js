@@ -0,0 +1,176 @@
+/**
+ * Merkle-batched session anchoring
+ * Instead of one ledger message per tap and per absentee, a session's
+ * attendance records are collected off-ledger and anchored at close by a
+ * single message carrying their Merkle root and counts. Each record keeps an
+ * inclusion proof against that root.
+ *
+ * One file per session: { classId, session, leaves: [payload], anchor }
+ * where anchor is null until sealed, then { root, leafCount, counts, sealedAt,
+ * outboxId, topicId, sequenceNumber, consensusTimestamp }.
+ */
+
+import path from 'path';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+import { merkleRoot, inclusionProof, leafHash, MERKLE_ALGORITHM } from './merkle.js';
+import { storeError } from './classStore.js';
+
+export const ANCHORING_MODES = ['per_tap', 'merkle'];
+
+/**
+ * Create the session batch store
+ * @param {object} options
+ * @param {string} options.dir - Directory holding one JSON file per session
+ * @returns {object} Store
+ */
+export function createSessionBatches({ dir }) {
+  const cache = new Map();
+
+  function fileOf(classId, session) {
+    const safe = value => String(value).replace(/[^\w.-]/g, '_');
+    return path.join(dir, safe(classId), `${safe(session)}.json`);
+  }
+
+  function load(classId, session) {
+    const key = `${classId}:${session}`;
+    if (!cache.has(key)) {
+      cache.set(key, readJsonFile(fileOf(classId, session), { classId, session, leaves: [], anchor: null }));
+    }
+    return cache.get(key);
+  }
+
+  function save(batch) {
+    writeJsonFile(fileOf(batch.classId, batch.session), batch);
+  }
+
+  return {
+    /**
+     * Whether a session's records still go into its batch (not anchored yet)
+     * @param {string} classId
+     * @param {string} session
+     * @returns {boolean}
+     */
+    isOpen(classId, session) {
+      return !load(classId, session).anchor;
+    },
+
+    /**
+     * Add a record to its session's batch
+     * @param {object} payload - Attendance-topic payload
+     * @returns {number} Leaf index
+     */
+    collect(payload) {
+      const batch = load(payload.classId, payload.session);
+      if (batch.anchor) throw storeError(409, `Session ${payload.classId}/${payload.session} is already anchored`);
+
+      batch.leaves.push(payload);
+      save(batch);
+      return batch.leaves.length - 1;
+    },
+
+    /**
+     * Close a batch: compute its root and build the anchor payload. The
+     * outbox ID the anchor will be published under is saved in the same write,
+     * so a crash before enqueueing can be detected and repaired on re-close.
+     * Sealing twice returns the existing anchor.
+     * @param {string} classId
+     * @param {string} session
+     * @param {object} counts - Status counts published with the root
+     * @param {string} outboxId - Outbox item ID to publish the anchor under
+     * @returns {object} { payload, anchor, alreadySealed }
+     */
+    seal(classId, session, counts, outboxId) {
+      const batch = load(classId, session);
+      const alreadySealed = !!batch.anchor;
+
+      if (!alreadySealed) {
+        batch.anchor = {
+          root: merkleRoot(batch.leaves),
+          leafCount: batch.leaves.length,
+          counts,
+          sealedAt: Date.now(),
+          outboxId,
+          topicId: null,
+          sequenceNumber: null,
+          consensusTimestamp: null
+        };
+        save(batch);
+      } else if (!batch.anchor.outboxId) {
+        // Sealed before outbox IDs were stored with the anchor
+        batch.anchor.outboxId = outboxId;
+        save(batch);
+      }
+
+      const { root, leafCount } = batch.anchor;
+      return {
+        alreadySealed,
+        anchor: batch.anchor,
+        payload: {
+          type: 'attendance_anchor',
+          classId,
+          session,
+          algorithm: MERKLE_ALGORITHM,
+          root,
+          leafCount,
+          counts: batch.anchor.counts,
+          ts: batch.anchor.sealedAt
+        }
+      };
+    },
+
+    /**
+     * Store the outbox item or ledger receipt of an anchor
+     * @param {string} classId
+     * @param {string} session
+     * @param {object} receipt - { outboxId } and/or { topicId, sequenceNumber, consensusTimestamp }
+     */
+    setReceipt(classId, session, receipt) {
+      const batch = load(classId, session);
+      if (!batch.anchor) return;
+      Object.assign(batch.anchor, receipt);
+      save(batch);
+    },
+
+    /**
+     * Records of a session, in leaf order
+     * @param {string} classId
+     * @param {string} session
+     * @returns {object[]}
+     */
+    leaves(classId, session) {
+      return load(classId, session).leaves;
+    },
+
+    /**
+     * Anchor of a session
+     * @param {string} classId
+     * @param {string} session
+     * @returns {object|null}
+     */
+    anchorOf(classId, session) {
+      return load(classId, session).anchor;
+    },
+
+    /**
+     * Inclusion proofs of every record of one hash in an anchored session
+     * @param {string} classId
+     * @param {string} session
+     * @param {string} uidHash
+     * @returns {object[]} [{ leafIndex, leaf, leafHash, proof }]
+     */
+    proofs(classId, session, uidHash) {
+      const batch = load(classId, session);
+      if (!batch.anchor) return [];
+
+      return batch.leaves
+        .map((leaf, leafIndex) => ({ leaf, leafIndex }))
+        .filter(({ leaf }) => leaf.uidHash === uidHash)
+        .map(({ leaf, leafIndex }) => ({
+          leafIndex,
+          leaf,
+          leafHash: leafHash(leaf),
+          proof: inclusionProof(batch.leaves, leafIndex)
+        }));
+    }
+  };
+}
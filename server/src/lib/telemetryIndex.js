@@ -0,0 +1,185 @@
+/**
+ * Telemetry index
+ * Follows the telemetry topic and stores every reading in append-only
+ * JSONL files (one per UTC day), so time-range queries do not depend on
+ * how many messages the mirror node returns per page.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+import { iterateTopic, decodeMessage } from './mirror.js';
+import { canonicalSensorKey } from './sensors.js';
+
+const DAY_MS = 86400000;
+const FLUSH_EVERY = 500; // messages between index writes during a sync
+
+/**
+ * Expand a decoded ledger message into telemetry readings.
+ * Buffered uploads arrive as "telemetry_batch" messages holding several readings;
+ * readings published before the sensor schema get canonical sensor keys.
+ * @param {object} message - Decoded message (see decodeMessage)
+ * @returns {object[]} Readings with the message's consensusTimestamp and sequenceNumber
+ */
+export function expandTelemetryMessage(message) {
+  const readings = message?.type === 'telemetry_batch'
+    ? (message.readings || [])
+    : (message?.type === 'telemetry' ? [message] : []);
+
+  return readings
+    .filter(r => r && r.sensors && Number.isFinite(r.ts))
+    .map((reading, index) => {
+      let sensors = reading.sensors;
+      if (!reading.schemaVersion) {
+        sensors = {};
+        for (const [key, value] of Object.entries(reading.sensors)) {
+          const canonical = canonicalSensorKey(key) || key;
+          if (!(canonical in sensors)) sensors[canonical] = value;
+        }
+      }
+
+      return {
+        ts: reading.ts,
+        deviceId: reading.deviceId || message.deviceId || null,
+        classId: reading.classId || null,
+        session: reading.session || null,
+        sensors,
+        ...(reading.flagged && { flagged: reading.flagged }),
+        consensusTimestamp: message.consensusTimestamp,
+        sequenceNumber: message.sequenceNumber,
+        index
+      };
+    });
+}
+
+/**
+ * Create the telemetry index
+ * @param {object} options
+ * @param {string} options.dir - Directory holding the day files and cursors
+ * @param {object} options.reader - Ledger history reader
+ * @param {Function} [options.onIndexed] - Called with the readings of each append
+ * @returns {object} Index
+ */
+export function createTelemetryIndex({ dir, reader, onIndexed = () => {} }) {
+  const cursorFile = path.join(dir, 'cursors.json');
+  const cursors = readJsonFile(cursorFile, {}); // topicId -> last sequence indexed
+  let syncing = null;
+
+  const dayOf = ts => new Date(ts).toISOString().slice(0, 10);
+  const dayFile = day => path.join(dir, `${day}.jsonl`);
+
+  // Append buffered readings, then move the cursor past them
+  function flush(buffer, topicId, sequence) {
+    fs.mkdirSync(dir, { recursive: true });
+    for (const [day, readings] of buffer) {
+      fs.appendFileSync(dayFile(day), readings.map(reading => JSON.stringify(reading)).join('\n') + '\n');
+    }
+    const appended = [...buffer.values()].flat();
+    buffer.clear();
+    cursors[topicId] = sequence;
+    writeJsonFile(cursorFile, cursors);
+    if (appended.length) onIndexed(appended);
+  }
+
+  /**
+   * All readings indexed for one UTC day
+   * @param {string} day - "YYYY-MM-DD"
+   * @returns {object[]} Readings in index order
+   */
+  function readDay(day) {
+    const file = dayFile(day);
+    if (!fs.existsSync(file)) return [];
+
+    const seen = new Set();
+    const readings = [];
+    for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+      if (!line) continue;
+      const reading = JSON.parse(line);
+
+      // A crash between append and cursor write can index a message twice
+      const key = `${reading.topicId}:${reading.sequenceNumber}:${reading.index}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      readings.push(reading);
+    }
+    return readings;
+  }
+
+  return {
+    /**
+     * Catch up with the telemetry topic (resumes from the last sequence
+     * number indexed). Concurrent calls share one sync.
+     * @param {string} topicId - Telemetry topic ID
+     * @returns {Promise<number>} Number of messages read
+     */
+    sync(topicId) {
+      if (!topicId) return Promise.resolve(0);
+      if (syncing) return syncing;
+
+      syncing = (async () => {
+        const buffer = new Map(); // day -> readings
+        let count = 0;
+        let last = cursors[topicId] || 0;
+
+        try {
+          for await (const msg of iterateTopic(reader, topicId, last)) {
+            for (const reading of expandTelemetryMessage(decodeMessage(msg))) {
+              const day = dayOf(reading.ts);
+              if (!buffer.has(day)) buffer.set(day, []);
+              buffer.get(day).push({ ...reading, topicId });
+            }
+            last = msg.sequence_number;
+            if (++count % FLUSH_EVERY === 0) flush(buffer, topicId, last);
+          }
+        } finally {
+          if (count % FLUSH_EVERY !== 0) flush(buffer, topicId, last);
+          syncing = null;
+        }
+        return count;
+      })();
+
+      return syncing;
+    },
+
+    /**
+     * Days with indexed readings
+     * @returns {object[]} [{ day: "YYYY-MM-DD", modifiedAt (ms) }] oldest first
+     */
+    days() {
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir)
+        .filter(name => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name))
+        .sort()
+        .map(name => ({ day: name.slice(0, 10), modifiedAt: fs.statSync(path.join(dir, name)).mtimeMs }));
+    },
+
+    readDay,
+
+    /**
+     * Readings in a time range
+     * @param {object} query
+     * @param {number} query.from - Start (ms, inclusive)
+     * @param {number} query.to - End (ms, inclusive)
+     * @param {string[]} [query.classIds] - Only readings of these classes
+     * @param {string} [query.deviceId]
+     * @param {number} [query.limit=5000] - Most recent readings kept when exceeded
+     * @returns {object} { readings (oldest first), truncated }
+     */
+    query({ from, to, classIds, deviceId, limit = 5000 }) {
+      const readings = [];
+
+      for (let day = Math.floor(from / DAY_MS) * DAY_MS; day <= to; day += DAY_MS) {
+        for (const reading of readDay(dayOf(day))) {
+          if (reading.ts < from || reading.ts > to) continue;
+          if (classIds && !classIds.includes(reading.classId)) continue;
+          if (deviceId && reading.deviceId !== deviceId) continue;
+          readings.push(reading);
+        }
+      }
+
+      readings.sort((a, b) => a.ts - b.ts);
+      const truncated = readings.length > limit;
+      return { readings: truncated ? readings.slice(-limit) : readings, truncated };
+    }
+  };
+}
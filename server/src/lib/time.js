@@ -60,3 +60,161 @@ export function formatTimestamp(ts) {
     timeStyle: 'medium'
   });
 }
+
+const zoneFormatters = new Map();
+
+/**
+ * Whether a string is an IANA timezone this runtime knows
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function zoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {string} timeZone - IANA timezone, e.g. "Africa/Casablanca"
+ * @param {number} utcMs - Instant as Unix timestamp in milliseconds
+ * @returns {number} Offset in minutes (positive east of UTC)
+ */
+export function zoneOffsetMinutes(timeZone, utcMs) {
+  const parts = zoneFormatter(timeZone).formatToParts(new Date(utcMs));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((asUtc - Math.floor(utcMs / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a wall-clock date and time in a timezone to an ISO timestamp
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} time - "HH:MM"
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} ISO 8601 timestamp with the zone's offset, e.g. "2025-10-01T09:00:00+01:00"
+ */
+export function zonedTimeToIso(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Second pass corrects the offset when the first guess lands across a DST change
+  let offset = zoneOffsetMinutes(timeZone, wallAsUtc);
+  offset = zoneOffsetMinutes(timeZone, wallAsUtc - offset * 60000);
+
+  const pad = n => String(n).padStart(2, '0');
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${date}T${pad(hour)}:${pad(minute)}:00${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Resolve a session start to a timestamp. A startIso without an offset
+ * ("2025-10-01T09:00") is wall-clock time in the class timezone.
+ * @param {string} startIso
+ * @param {string} [timeZone='UTC']
+ * @returns {string} ISO 8601 timestamp with an explicit offset
+ */
+export function resolveStartIso(startIso, timeZone = 'UTC') {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})(:00(\.0+)?)?$/.exec(startIso || '');
+  return match ? zonedTimeToIso(match[1], match[2], timeZone) : startIso;
+}
+
+export const TAP_WINDOW_FIELDS = ['earlyMin', 'onTimeMin', 'lateMin', 'afterEndMin', 'leftEarlyMin'];
+
+/**
+ * Validate a tap window override
+ * @param {object} window - Any of earlyMin, onTimeMin, lateMin, afterEndMin, leftEarlyMin
+ * @returns {string|null} Error message, or null when valid
+ */
+export function tapWindowError(window) {
+  if (!window || typeof window !== 'object' || Array.isArray(window)) return 'tapWindow must be an object';
+  for (const [key, value] of Object.entries(window)) {
+    if (!TAP_WINDOW_FIELDS.includes(key)) return `Unknown tapWindow field "${key}"`;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return `tapWindow.${key} must be a non-negative number of minutes`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Grade a tap against the session's tap window
+ * @param {number} ts - Tap timestamp in milliseconds
+ * @param {object} session - { startIso, durationMin }
+ * @param {object} window
+ * @param {number} window.earlyMin - Doors open this many minutes before start
+ * @param {number} window.onTimeMin - Taps up to this many minutes after start are on time
+ * @param {number} window.lateMin - Taps up to this many minutes after start are late, later ones very late
+ * @param {number} window.afterEndMin - Taps are accepted until this many minutes after the end
+ * @param {string} [timeZone='UTC'] - Class timezone, used in rejection messages
+ * @returns {object} { accepted: true, status, minutesLate } or
+ *   { accepted: false, reason: "too_early" | "session_ended", message }
+ */
+export function evaluateTap(ts, session, window, timeZone = 'UTC') {
+  const start = new Date(session.startIso).getTime();
+  const opensAt = start - window.earlyMin * 60000;
+  const closesAt = start + ((session.durationMin || 0) + window.afterEndMin) * 60000;
+  // A class saved with an unknown timezone still gets its rejection, in UTC
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  const local = ms => new Date(ms).toLocaleString('en-GB', { timeZone: zone, dateStyle: 'short', timeStyle: 'short' });
+
+  if (ts < opensAt) {
+    return {
+      accepted: false,
+      reason: 'too_early',
+      message: `Tap at ${local(ts)} is before the session opens at ${local(opensAt)} (${zone})`
+    };
+  }
+  if (ts > closesAt) {
+    return {
+      accepted: false,
+      reason: 'session_ended',
+      message: `Tap at ${local(ts)} is after the session closed at ${local(closesAt)} (${zone})`
+    };
+  }
+
+  const minutesLate = Math.max(0, Math.round((ts - start) / 6000) / 10);
+  const status = minutesLate <= window.onTimeMin ? 'present_on_time'
+    : minutesLate <= window.lateMin ? 'late'
+      : 'very_late';
+
+  return { accepted: true, status, minutesLate };
+}
+
+/**
+ * Compute how long a student was present during a session
+ * @param {object} session - { startIso, durationMin }
+ * @param {number} arrivalTs - Check-in tap timestamp
+ * @param {number|null} departureTs - Check-out tap timestamp (null: stayed until the end)
+ * @param {number} leftEarlyMin - Leaving more than this many minutes before the end counts as left early
+ * @returns {object} { minutesPresent, leftEarly }
+ */
+export function computePresence(session, arrivalTs, departureTs, leftEarlyMin) {
+  const start = new Date(session.startIso).getTime();
+  const end = start + (session.durationMin || 0) * 60000;
+  const from = Math.max(arrivalTs, start);
+  const to = Math.min(departureTs ?? end, end);
+
+  return {
+    minutesPresent: Math.max(0, Math.round((to - from) / 6000) / 10),
+    leftEarly: departureTs != null && departureTs < end - leftEarlyMin * 60000
+  };
+}
@@ -0,0 +1,131 @@
+/**
+ * Recurring timetable rules
+ * A rule such as "every Mon/Wed at 09:00 for 50 min during the term" is
+ * expanded into concrete sessions in the class timezone, so the rest of the
+ * server only ever sees plain { id, startIso, durationMin } sessions.
+ */
+
+import { zonedTimeToIso, resolveStartIso } from './time.js';
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const MAX_RULE_DAYS = 400; // about one school year plus margin
+
+/**
+ * Parse a "YYYY-MM-DD" calendar date as UTC midnight
+ * @param {string} date
+ * @returns {number} Unix timestamp in milliseconds, NaN when invalid
+ */
+function parseDate(date) {
+  if (!DATE_PATTERN.test(date || '')) return NaN;
+  const ms = Date.parse(`${date}T00:00:00Z`);
+  return new Date(ms).toISOString().slice(0, 10) === date ? ms : NaN;
+}
+
+/**
+ * Validate a recurring rule
+ * @param {object} rule
+ * @param {string} rule.id
+ * @param {string[]} rule.days - Weekdays, e.g. ["mon", "wed"]
+ * @param {string} rule.time - Local start time "HH:MM"
+ * @param {number} rule.durationMin
+ * @param {string} rule.from - First date "YYYY-MM-DD" (inclusive)
+ * @param {string} rule.until - Last date "YYYY-MM-DD" (inclusive)
+ * @param {string[]} [rule.except] - Dates to skip (holidays)
+ * @param {object} [rule.tapWindow] - Tap window override for its sessions
+ * @returns {string|null} Error message, or null when valid
+ */
+export function ruleError(rule) {
+  const { days, time, durationMin, from, until, except = [] } = rule;
+
+  if (!Array.isArray(days) || days.length === 0) return 'days must be a non-empty array';
+  const unknown = days.find(day => !WEEKDAYS.includes(String(day).slice(0, 3).toLowerCase()));
+  if (unknown) return `Unknown weekday "${unknown}"`;
+  if (!TIME_PATTERN.test(time || '')) return 'time must be "HH:MM"';
+  if (!Number.isInteger(durationMin) || durationMin <= 0) return 'durationMin must be a positive integer';
+
+  const start = parseDate(from);
+  const end = parseDate(until);
+  if (Number.isNaN(start) || Number.isNaN(end)) return 'from and until must be dates "YYYY-MM-DD"';
+  if (end < start) return 'until must not be before from';
+  if ((end - start) / 86400000 > MAX_RULE_DAYS) return `Rules may span at most ${MAX_RULE_DAYS} days`;
+
+  if (!Array.isArray(except) || except.some(date => Number.isNaN(parseDate(date)))) {
+    return 'except must be an array of dates "YYYY-MM-DD"';
+  }
+  return null;
+}
+
+/**
+ * Session id for an occurrence, matching hand-written ids ("2025-10-01-0900")
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} time - "HH:MM"
+ * @returns {string}
+ */
+export function occurrenceId(date, time) {
+  const [hour, minute] = time.split(':');
+  return `${date}-${hour.padStart(2, '0')}${minute}`;
+}
+
+/**
+ * Expand one rule into sessions
+ * @param {object} rule - Valid rule (see ruleError)
+ * @param {string} timeZone - Class timezone
+ * @returns {object[]} [{ id, startIso, durationMin, ruleId }]
+ */
+export function expandRule(rule, timeZone) {
+  const days = new Set(rule.days.map(day => WEEKDAYS.indexOf(String(day).slice(0, 3).toLowerCase())));
+  const except = new Set(rule.except || []);
+  const end = parseDate(rule.until);
+  const sessions = [];
+
+  for (let day = parseDate(rule.from); day <= end; day += 86400000) {
+    const date = new Date(day).toISOString().slice(0, 10);
+    if (!days.has(new Date(day).getUTCDay()) || except.has(date)) continue;
+
+    sessions.push({
+      id: occurrenceId(date, rule.time),
+      // Wall-clock time in the class timezone, so DST changes keep 09:00 at 09:00
+      startIso: zonedTimeToIso(date, rule.time, timeZone),
+      durationMin: rule.durationMin,
+      ruleId: rule.id,
+      ...(rule.tapWindow && { tapWindow: rule.tapWindow })
+    });
+  }
+
+  return sessions;
+}
+
+/**
+ * Sessions of a class: expanded rules plus explicit sessions.
+ * An explicit session with the same id as an occurrence overrides it, and
+ * explicit start times without an offset are read in the class timezone.
+ * @param {object} entry - Schedule entry { timezone, sessions, rules }
+ * @returns {object[]} Sessions sorted by start time
+ */
+export function expandSchedule(entry) {
+  const byId = new Map();
+
+  for (const rule of entry.rules || []) {
+    try {
+      for (const session of expandRule(rule, entry.timezone || 'UTC')) {
+        if (!byId.has(session.id)) byId.set(session.id, session);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Skipping timetable rule ${rule.id}:`, error.message);
+    }
+  }
+  for (const session of entry.sessions || []) {
+    let startIso = session.startIso;
+    try {
+      startIso = resolveStartIso(startIso, entry.timezone || 'UTC');
+    } catch (error) {
+      console.warn(`⚠️  Cannot resolve start of session ${session.id}:`, error.message);
+    }
+    byId.set(session.id, startIso === session.startIso ? session : { ...session, startIso });
+  }
+
+  return [...byId.values()].sort((a, b) => new Date(a.startIso) - new Date(b.startIso));
+}
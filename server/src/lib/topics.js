@@ -3,28 +3,45 @@
  * Supports dedicated topics or fallback to single topic
  */
 
+// Single topic used by the local ledger when no topic IDs are configured
+export const LOCAL_FALLBACK_TOPIC_ID = 'local';
+
+/**
+ * Resolve the fallback (single) topic ID
+ * @returns {string|undefined}
+ */
+function fallbackTopicId() {
+  const { TOPIC_ID, LEDGER_BACKEND } = process.env;
+  if (TOPIC_ID) return TOPIC_ID;
+  return LEDGER_BACKEND === 'local' ? LOCAL_FALLBACK_TOPIC_ID : undefined;
+}
+
 /**
  * Resolve topic ID by message type
- * @param {string} type - Message type: "attendance" | "telemetry"
+ * @param {string} type - Message type: "attendance" | "telemetry" | "alerts"
  * @returns {string} Topic ID to use
  */
 export function resolveTopicIdByType(type) {
   const {
     TOPIC_ID_ATTENDANCE,
     TOPIC_ID_TELEMETRY,
-    TOPIC_ID
+    TOPIC_ID_ALERTS
   } = process.env;
 
   if (type === 'attendance') {
-    return TOPIC_ID_ATTENDANCE || TOPIC_ID;
+    return TOPIC_ID_ATTENDANCE || fallbackTopicId();
   }
   
   if (type === 'telemetry') {
-    return TOPIC_ID_TELEMETRY || TOPIC_ID;
+    return TOPIC_ID_TELEMETRY || fallbackTopicId();
+  }
+
+  if (type === 'alerts') {
+    return TOPIC_ID_ALERTS || fallbackTopicId();
   }
   
   // Fallback
-  return TOPIC_ID;
+  return fallbackTopicId();
 }
 
 /**
@@ -41,9 +58,10 @@ export function hasDedicatedTopics() {
  */
 export function getTopicConfig() {
   return {
-    attendance: process.env.TOPIC_ID_ATTENDANCE || process.env.TOPIC_ID || null,
-    telemetry: process.env.TOPIC_ID_TELEMETRY || process.env.TOPIC_ID || null,
-    fallback: process.env.TOPIC_ID || null,
+    attendance: resolveTopicIdByType('attendance') || null,
+    telemetry: resolveTopicIdByType('telemetry') || null,
+    alerts: resolveTopicIdByType('alerts') || null,
+    fallback: fallbackTopicId() || null,
     dedicated: hasDedicatedTopics()
   };
 }
@@ -0,0 +1,100 @@
+/**
+ * Per-student verification codes
+ * A code lets a student or parent look up their own attendance records
+ * without knowing the card UID. Codes are random, issued by an admin and
+ * stored only as hashes; issuing a new code for a student revokes the old one.
+ */
+
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+import { sha256Hex } from './crypto.js';
+import { storeError } from './classStore.js';
+
+// No 0/O, 1/I/L: codes are read out and typed by hand
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+
+/**
+ * Canonical form of a typed code (case, spaces and dashes ignored)
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function generateCode() {
+  const chars = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+  return chars.join('').match(/.{4}/g).join('-');
+}
+
+/**
+ * Create the verification code store
+ * @param {object} options
+ * @param {string} options.file - JSON file { [codeHash]: { classId, studentId, issuedAt } }
+ * @returns {object} Store
+ */
+export function createVerificationCodes({ file }) {
+  const codes = readJsonFile(file, {});
+
+  function save() {
+    writeJsonFile(file, codes);
+  }
+
+  function removeStudent(classId, studentId) {
+    for (const [hash, entry] of Object.entries(codes)) {
+      if (entry.classId === classId && entry.studentId === studentId) delete codes[hash];
+    }
+  }
+
+  return {
+    /**
+     * Issue a code for a student, replacing any previous one
+     * @param {string} classId
+     * @param {string} studentId
+     * @returns {object} { classId, studentId, code, issuedAt } (the code is shown once)
+     */
+    issue(classId, studentId) {
+      removeStudent(classId, studentId);
+      const code = generateCode();
+      const entry = { classId, studentId, issuedAt: new Date().toISOString() };
+      codes[sha256Hex(normalizeCode(code))] = entry;
+      save();
+      return { ...entry, code };
+    },
+
+    /**
+     * Revoke a student's code
+     * @param {string} classId
+     * @param {string} studentId
+     * @returns {object} { revoked }
+     */
+    revoke(classId, studentId) {
+      const before = Object.keys(codes).length;
+      removeStudent(classId, studentId);
+      if (Object.keys(codes).length === before) {
+        throw storeError(404, `No verification code for ${studentId} in ${classId}`);
+      }
+      save();
+      return { revoked: { classId, studentId } };
+    },
+
+    /**
+     * Student a code was issued to
+     * @param {string} code
+     * @returns {object|null} { classId, studentId, issuedAt }
+     */
+    resolve(code) {
+      return codes[sha256Hex(normalizeCode(code))] || null;
+    },
+
+    /**
+     * Issued codes (without the codes themselves)
+     * @param {string} [classId]
+     * @returns {object[]}
+     */
+    list(classId) {
+      return Object.values(codes).filter(entry => !classId || entry.classId === classId);
+    }
+  };
+}
@@ -0,0 +1,335 @@
+/**
+ * Outbound webhooks
+ * External systems (e.g. a school information system) subscribe to attendance
+ * and session events instead of polling the mirror node. Every delivery is
+ * persisted, signed with the subscription's secret, retried with exponential
+ * backoff, and kept in a delivery log that can be inspected and replayed.
+ */
+
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile } from './jsonStore.js';
+import { hmacSha256Hex } from './crypto.js';
+import { backoffDelay } from './outbox.js';
+import { storeError } from './classStore.js';
+
+export const WEBHOOK_EVENTS = ['attendance.recorded', 'attendance.amended', 'session.closed'];
+
+const MAX_LOGGED_ATTEMPTS = 10;
+
+/**
+ * Signature header value for a delivery.
+ * Receivers recompute it over "<X-EduAir-Timestamp>.<raw body>" with their secret.
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex>"
+ */
+export function signDelivery(secret, timestamp, body) {
+  return `sha256=${hmacSha256Hex(secret, `${timestamp}.${body}`)}`;
+}
+
+/**
+ * Validate a subscription
+ * @param {object} subscription
+ * @param {string} subscription.url - http(s) endpoint
+ * @param {string[]} subscription.events - Subset of WEBHOOK_EVENTS
+ * @param {string[]} [subscription.classIds] - Only events of these classes (empty = all)
+ * @returns {string|null} Error message, or null when valid
+ */
+export function subscriptionError({ url, events, classIds = [] }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be an absolute http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'url must be an absolute http(s) URL';
+
+  if (!Array.isArray(events) || events.length === 0) return 'events must be a non-empty array';
+  const unknown = events.find(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown) return `Unknown event "${unknown}" (expected: ${WEBHOOK_EVENTS.join(', ')})`;
+
+  if (!Array.isArray(classIds) || classIds.some(classId => typeof classId !== 'string')) {
+    return 'classIds must be an array of class IDs';
+  }
+  return null;
+}
+
+/**
+ * Create the webhook dispatcher
+ * @param {object} options
+ * @param {string} options.subscriptionsFile - JSON file holding subscriptions (with secrets)
+ * @param {string} options.deliveriesFile - JSON file holding the delivery log
+ * @param {number} [options.maxAttempts=8] - Attempts before a delivery is marked failed
+ * @param {number} [options.baseDelayMs=5000] - First retry delay
+ * @param {number} [options.maxDelayMs=3600000] - Maximum retry delay
+ * @param {number} [options.timeoutMs=10000] - Request timeout per attempt
+ * @param {number} [options.retainDelivered=1000] - Delivered entries kept in the log
+ * @returns {object} Dispatcher
+ */
+export function createWebhooks({
+  subscriptionsFile,
+  deliveriesFile,
+  maxAttempts = 8,
+  baseDelayMs = 5000,
+  maxDelayMs = 3600000,
+  timeoutMs = 10000,
+  retainDelivered = 1000
+}) {
+  const subscriptions = readJsonFile(subscriptionsFile, []);
+  const deliveries = readJsonFile(deliveriesFile, []);
+  const inFlight = new Set();
+  let timer = null;
+  let draining = false;
+
+  function saveSubscriptions() {
+    writeJsonFile(subscriptionsFile, subscriptions);
+  }
+
+  function saveDeliveries() {
+    const delivered = deliveries.filter(d => d.status === 'delivered');
+    const excess = delivered.length - retainDelivered;
+    if (excess > 0) {
+      const drop = new Set(delivered.slice(0, excess).map(d => d.id));
+      for (let i = deliveries.length - 1; i >= 0; i--) {
+        if (drop.has(deliveries[i].id)) deliveries.splice(i, 1);
+      }
+    }
+    writeJsonFile(deliveriesFile, deliveries);
+  }
+
+  // Subscription without its secret
+  function describe(subscription) {
+    const { secret, ...rest } = subscription;
+    return rest;
+  }
+
+  function findSubscription(id) {
+    const subscription = subscriptions.find(s => s.id === id);
+    if (!subscription) throw storeError(404, `Webhook ${id} not found`);
+    return subscription;
+  }
+
+  async function attempt(delivery) {
+    if (inFlight.has(delivery.id) || delivery.status !== 'pending') return delivery;
+    const subscription = subscriptions.find(s => s.id === delivery.subscriptionId);
+    if (!subscription) {
+      delivery.status = 'failed';
+      delivery.lastError = 'Subscription was removed';
+      saveDeliveries();
+      return delivery;
+    }
+    inFlight.add(delivery.id);
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const entry = { at: Date.now(), status: null, error: null };
+
+    try {
+      delivery.attempts++;
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'EduAir-Webhooks/1.0',
+          'X-EduAir-Event': delivery.event,
+          'X-EduAir-Delivery': delivery.id,
+          'X-EduAir-Timestamp': timestamp,
+          'X-EduAir-Signature': signDelivery(subscription.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      entry.status = response.status;
+      if (!response.ok) throw new Error(`Endpoint responded ${response.status} ${response.statusText}`);
+
+      delivery.status = 'delivered';
+      delivery.deliveredAt = Date.now();
+      delivery.lastError = null;
+    } catch (error) {
+      entry.error = error.message;
+      delivery.lastError = error.message;
+      if (delivery.attempts >= maxAttempts) {
+        delivery.status = 'failed';
+        console.error(`❌ Webhook delivery ${delivery.id} (${delivery.event}) failed after ${delivery.attempts} attempts:`, error.message);
+      } else {
+        delivery.nextAttemptAt = Date.now() + backoffDelay(delivery.attempts, baseDelayMs, maxDelayMs);
+        console.warn(`⚠️  Webhook delivery ${delivery.id} queued for retry (attempt ${delivery.attempts}):`, error.message);
+      }
+    } finally {
+      delivery.log = [...delivery.log, entry].slice(-MAX_LOGGED_ATTEMPTS);
+      inFlight.delete(delivery.id);
+      saveDeliveries();
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Send every pending delivery whose retry time has come
+   */
+  async function drain() {
+    if (draining) return;
+    draining = true;
+    try {
+      const due = deliveries.filter(d => d.status === 'pending' && d.nextAttemptAt <= Date.now());
+      for (const delivery of due) {
+        await attempt(delivery);
+      }
+    } finally {
+      draining = false;
+    }
+  }
+
+  return {
+    /**
+     * Add a subscription
+     * @param {object} options - { url, events, classIds, description }
+     * @returns {object} Subscription, including the generated secret (shown once)
+     */
+    subscribe({ url, events, classIds = [], description }) {
+      const error = subscriptionError({ url, events, classIds });
+      if (error) throw storeError(400, error);
+
+      const subscription = {
+        id: crypto.randomUUID(),
+        url,
+        events: [...new Set(events)],
+        classIds,
+        ...(description && { description: String(description) }),
+        active: true,
+        createdAt: new Date().toISOString(),
+        secret: crypto.randomBytes(32).toString('hex')
+      };
+      subscriptions.push(subscription);
+      saveSubscriptions();
+      return { ...subscription };
+    },
+
+    /**
+     * Change url, events, classIds, description or active
+     * @param {string} id
+     * @param {object} changes
+     * @returns {object} Updated subscription (without secret)
+     */
+    update(id, changes) {
+      const subscription = findSubscription(id);
+      const updated = { ...subscription };
+      for (const key of ['url', 'events', 'classIds', 'description', 'active']) {
+        if (key in changes) updated[key] = changes[key];
+      }
+      const error = subscriptionError(updated);
+      if (error) throw storeError(400, error);
+      if (typeof updated.active !== 'boolean') throw storeError(400, 'active must be true or false');
+
+      Object.assign(subscription, updated);
+      saveSubscriptions();
+      return describe(subscription);
+    },
+
+    /**
+     * Remove a subscription; its pending deliveries fail on their next attempt
+     * @param {string} id
+     * @returns {object} { removed }
+     */
+    unsubscribe(id) {
+      findSubscription(id);
+      subscriptions.splice(subscriptions.findIndex(s => s.id === id), 1);
+      saveSubscriptions();
+      return { removed: id };
+    },
+
+    list() {
+      return subscriptions.map(describe);
+    },
+
+    /**
+     * Queue an event for every matching subscription and try to send it right away
+     * @param {string} event - One of WEBHOOK_EVENTS
+     * @param {object} data - Event data
+     * @param {string} [classId] - Class the event belongs to
+     * @returns {object[]} Queued deliveries
+     */
+    emit(event, data, classId) {
+      const matching = subscriptions.filter(s =>
+        s.active && s.events.includes(event) && (s.classIds.length === 0 || s.classIds.includes(classId))
+      );
+      if (matching.length === 0) return [];
+
+      const payload = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data };
+      const queued = matching.map(subscription => ({
+        id: crypto.randomUUID(),
+        subscriptionId: subscription.id,
+        event,
+        classId: classId || null,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        createdAt: Date.now(),
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        log: []
+      }));
+      deliveries.push(...queued);
+      saveDeliveries();
+
+      for (const delivery of queued) {
+        attempt(delivery).catch(error => console.error('❌ Webhook delivery error:', error.message));
+      }
+      return queued;
+    },
+
+    drain,
+
+    /**
+     * Send deliveries again: failed ones by default, or any given ids
+     * (including delivered ones, e.g. after a receiver lost data)
+     * @param {string[]} [ids]
+     * @returns {object[]} Replayed deliveries
+     */
+    replay(ids) {
+      const replayed = deliveries.filter(d =>
+        ids ? ids.includes(d.id) && !inFlight.has(d.id) : d.status === 'failed'
+      );
+      for (const delivery of replayed) {
+        delivery.status = 'pending';
+        delivery.attempts = 0;
+        delivery.nextAttemptAt = Date.now();
+      }
+      if (replayed.length > 0) saveDeliveries();
+      return replayed;
+    },
+
+    get(id) {
+      return deliveries.find(d => d.id === id) || null;
+    },
+
+    /**
+     * Delivery log, newest first
+     * @param {object} [filter] - { status, subscriptionId }
+     * @returns {object[]}
+     */
+    listDeliveries({ status, subscriptionId } = {}) {
+      return deliveries
+        .filter(d => (!status || d.status === status) && (!subscriptionId || d.subscriptionId === subscriptionId))
+        .reverse();
+    },
+
+    /**
+     * Start the background retry loop
+     * @param {number} [intervalMs=5000]
+     */
+    start(intervalMs = 5000) {
+      if (timer) return;
+      timer = setInterval(() => {
+        drain().catch(error => console.error('❌ Webhook drain error:', error.message));
+      }, intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
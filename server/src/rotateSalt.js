@@ -0,0 +1,60 @@
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { createSaltKeyring, buildHashIndex } from './lib/saltKeys.js';
+import { createClassStore } from './lib/classStore.js';
+import { writeJsonFile } from './lib/jsonStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config();
+
+// Usage: npm run salt:rotate -- [--at <ISO time>] [--reindex-only]
+function rotateSalt() {
+  const args = process.argv.slice(2);
+  const atIndex = args.indexOf('--at');
+  const activatedAt = atIndex !== -1 ? args[atIndex + 1] : undefined;
+  const reindexOnly = args.includes('--reindex-only');
+
+  const unknown = args.filter((arg, i) => !['--at', '--reindex-only'].includes(arg) && args[i - 1] !== '--at');
+
+  if (unknown.length > 0 || (atIndex !== -1 && !activatedAt)) {
+    console.log('Usage: npm run salt:rotate -- [--at <ISO time>] [--reindex-only]');
+    console.log('   --at            when the new secret takes effect (default: now); sessions starting');
+    console.log('                   before it keep their current salt version');
+    console.log('   --reindex-only  only rebuild the local hash → student index');
+    process.exit(1);
+  }
+
+  const stateDir = process.env.STATE_DIR || path.join(__dirname, '../data/state');
+  const dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+  const keyring = createSaltKeyring({
+    file: path.join(stateDir, 'saltKeys.json'),
+    legacySecret: process.env.SALT_SECRET
+  });
+
+  if (!reindexOnly) {
+    const { version, activatedAt: at } = keyring.rotate(activatedAt);
+    console.log(`🔑 Salt version ${version} active from ${at}`);
+  }
+  keyring.versions().forEach(({ version, activatedAt: at }) => console.log(`   v${version} since ${at}`));
+
+  // Re-derive which roster members map to the hashes of every scheduled session
+  const store = createClassStore({
+    scheduleFile: path.join(dataDir, 'schedule.json'),
+    rosterFile: path.join(dataDir, 'roster.json')
+  });
+  const index = buildHashIndex(keyring, store);
+  const indexFile = path.join(stateDir, 'uidHashIndex.json');
+  writeJsonFile(indexFile, index);
+
+  console.log(`✅ Indexed ${Object.keys(index.hashes).length} hashes → ${indexFile}`);
+}
+
+try {
+  rotateSalt();
+} catch (error) {
+  console.error('❌ Error rotating salt:', error.message);
+  process.exit(1);
+}
@@ -1,13 +1,38 @@
 import express from 'express';
+import crypto from 'crypto';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { Client, TopicMessageSubmitTransaction } from '@hashgraph/sdk';
-import { deriveSessionSalt, computeUidHash } from './lib/crypto.js';
-import { determineStatus } from './lib/time.js';
+import { computeUidHash } from './lib/crypto.js';
+import { createSaltKeyring } from './lib/saltKeys.js';
+import { createEnvelopeCodec, verifyOpening, ENVELOPE_TYPE } from './lib/envelope.js';
+import { readJsonFile } from './lib/jsonStore.js';
+import { createVerificationCodes } from './lib/verificationCodes.js';
+import { createSessionBatches, ANCHORING_MODES } from './lib/sessionBatches.js';
+import { verifyInclusion } from './lib/merkle.js';
+import { evaluateTap, computePresence } from './lib/time.js';
 import { resolveTopicIdByType, getTopicConfig } from './lib/topics.js';
+import { createPublisher } from './lib/publisher.js';
+import { createOutbox } from './lib/outbox.js';
+import { createLedgerReader, decodeMessage, DEFAULT_MIRROR_URL } from './lib/mirror.js';
+import { createAttendanceStore, ATTENDANCE_TYPES, effectiveStatus } from './lib/attendanceStore.js';
+import { amendmentError, buildAmendment } from './lib/amendments.js';
+import { createTelemetryIndex } from './lib/telemetryIndex.js';
+import { createTopicIndexer } from './lib/indexer.js';
+import { createTelemetryRollups, RESOLUTIONS, MAX_RANGE_DAYS } from './lib/rollups.js';
+import { createAlertEngine } from './lib/alerts.js';
+import { createLogChannel, createWebhookChannel, createSmtpChannel } from './lib/notifiers.js';
+import { createWebhooks, WEBHOOK_EVENTS } from './lib/webhooks.js';
+import { createEventStream } from './lib/eventStream.js';
+import { createDeviceRegistry, createDeviceAuth } from './lib/devices.js';
+import { createAuthorizer, signToken, canAccessClass, classScope } from './lib/auth.js';
+import { createIdempotency } from './lib/idempotency.js';
+import { createIngestLimits } from './lib/rateLimits.js';
+import { normalizeSensors, SENSOR_SCHEMA, SENSOR_SCHEMA_VERSION } from './lib/sensors.js';
+import { createClosedSessionLog, createSessionScheduler } from './lib/scheduler.js';
+import { createClassStore, normalizeCardUid } from './lib/classStore.js';
+import { IMPORT_KINDS, planImport, summarizeChanges } from './lib/csvImport.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,50 +42,390 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 8787;
 
+// Client IPs for rate limiting come from X-Forwarded-For only behind a trusted proxy
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
 
-// Initialize Hedera client
-const { MY_ACCOUNT_ID, MY_PRIVATE_KEY } = process.env;
+// Keep the exact body for device signature verification. Ingest routes get
+// tight body limits (batches a larger one); the first matching parser wins.
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use('/ingest/batch', express.json({ verify: keepRawBody, limit: process.env.INGEST_BATCH_BODY_LIMIT || '512kb' }));
+app.use('/ingest', express.json({ verify: keepRawBody, limit: process.env.INGEST_BODY_LIMIT || '16kb' }));
+app.use(express.json({ verify: keepRawBody }));
+
+// Oversized or malformed bodies get a JSON error like other rejections
+app.use((error, req, res, next) => {
+  if (!error.expose) return next(error);
+  res.status(error.status).json({ status: 'error', message: error.message });
+});
+
+// Initialize ledger publisher (LEDGER_BACKEND=hcs|local)
+let publisher;
+try {
+  publisher = createPublisher(process.env, path.join(__dirname, '../data/ledger'));
+} catch (error) {
+  console.error('❌ Cannot initialize ledger:', error.message);
+  process.exit(1);
+}
+
+// Runtime state (outbox, etc.) lives outside the tracked data files
+const STATE_DIR = process.env.STATE_DIR || path.join(__dirname, '../data/state');
+
+// Versioned salt secrets: SALT_SECRET is version 1 until `npm run salt:rotate`.
+// The built-in default secret is only accepted in explicit dev mode.
+const DEV_MODE = process.env.DEV_MODE === 'true';
+const saltKeyring = createSaltKeyring({
+  file: path.join(STATE_DIR, 'saltKeys.json'),
+  legacySecret: process.env.SALT_SECRET
+});
+if (saltKeyring.usesDefaultSecret()) {
+  if (!DEV_MODE) {
+    console.error('❌ Refusing to start with the default salt secret: set SALT_SECRET, run `npm run salt:rotate`, or set DEV_MODE=true');
+    process.exit(1);
+  }
+  console.warn('⚠️  DEV_MODE: using the default salt secret, hashes are not private');
+}
+
+// Optional envelope encryption of published payloads (PAYLOAD_ENCRYPTION=on).
+// Class keys and retired keys live in PAYLOAD_KEYS_FILE: { classes: { [classId]: hex }, retired: [hex] }
+const PAYLOAD_ENCRYPTION = process.env.PAYLOAD_ENCRYPTION || 'off';
+let envelopes;
+try {
+  const payloadKeys = readJsonFile(process.env.PAYLOAD_KEYS_FILE || path.join(STATE_DIR, 'payloadKeys.json'), {});
+  envelopes = createEnvelopeCodec({
+    enabled: PAYLOAD_ENCRYPTION === 'on',
+    schoolKey: process.env.PAYLOAD_KEY,
+    classKeys: payloadKeys.classes,
+    retiredKeys: payloadKeys.retired
+  });
+} catch (error) {
+  console.error('❌ Cannot initialize payload encryption:', error.message);
+  process.exit(1);
+}
+
+// Ledger history (mirror node, or the local ledger files), with envelopes opened
+// for the indexer; the raw reader serves commitment checks
+const MIRROR_URL = process.env.MIRROR_URL || DEFAULT_MIRROR_URL;
+const rawLedgerReader = createLedgerReader(publisher, MIRROR_URL);
+const ledgerReader = envelopes.reader(rawLedgerReader);
+
+// Attendance state, persisted and rebuildable from the attendance topic
+const attendanceStore = createAttendanceStore({
+  file: path.join(STATE_DIR, 'attendance.json'),
+  reader: ledgerReader
+});
+
+// Telemetry readings indexed from the telemetry topic, for time-range queries
+const telemetryIndex = createTelemetryIndex({
+  dir: path.join(STATE_DIR, 'telemetry'),
+  reader: ledgerReader,
+  onIndexed: readings => telemetryRollups.add(readings)
+});
+
+// 1m / 15m / 1h rollups of the indexed telemetry, for long-range charts;
+// days the index changed while the server was down are rebuilt at startup
+const telemetryRollups = createTelemetryRollups({
+  dir: path.join(STATE_DIR, 'rollups'),
+  index: telemetryIndex
+});
+telemetryRollups.refresh();
+
+// Indexer following the topics through the mirror node (or local ledger)
+const INDEXER = process.env.INDEXER || 'on';
+const TELEMETRY_MAX_RANGE_DAYS = parseInt(process.env.TELEMETRY_MAX_RANGE_DAYS || '31');
+const indexer = createTopicIndexer({
+  targets: [
+    { name: 'attendance', topicId: resolveTopicIdByType('attendance'), sync: topicId => attendanceStore.sync(topicId) },
+    { name: 'telemetry', topicId: resolveTopicIdByType('telemetry'), sync: topicId => telemetryIndex.sync(topicId) }
+  ]
+});
+
+// Log of closed sessions (manual and automatic)
+const closedSessions = createClosedSessionLog({ file: path.join(STATE_DIR, 'closedSessions.json') });
+
+// Device registry: per-device keys for signed ingest requests
+const deviceRegistry = createDeviceRegistry({ file: path.join(STATE_DIR, 'devices.json') });
+// Required by default; "off" (unsigned ingest) is only accepted in DEV_MODE
+const DEVICE_AUTH = process.env.DEVICE_AUTH || 'required';
+if (DEVICE_AUTH === 'off' && !DEV_MODE) {
+  console.error('❌ Refusing to start with DEVICE_AUTH=off outside DEV_MODE (anyone could publish)');
+  process.exit(1);
+}
+const requireDevice = createDeviceAuth({
+  registry: deviceRegistry,
+  mode: DEVICE_AUTH,
+  maxSkewMs: parseInt(process.env.DEVICE_AUTH_MAX_SKEW_SEC || '300') * 1000,
+  nonceFile: path.join(STATE_DIR, 'deviceNonces.json')
+});
+
+// Idempotency-Key support so device retries after timeouts are safe
+const idempotent = createIdempotency({
+  file: path.join(STATE_DIR, 'idempotency.json'),
+  ttlMs: parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24') * 3600 * 1000
+});
+
+// Ingest abuse protection: per-IP and per-device request rates, and a daily
+// budget of published ledger messages per device (0 disables a limit)
+const ingestLimits = createIngestLimits({
+  file: path.join(STATE_DIR, 'ingestUsage.json'),
+  ipPerWindow: parseInt(process.env.RATE_LIMIT_IP_PER_MIN || '120'),
+  devicePerWindow: parseInt(process.env.RATE_LIMIT_DEVICE_PER_MIN || '60'),
+  dailyBudget: parseInt(process.env.DEVICE_DAILY_PUBLISH_BUDGET || '5000')
+});
+ingestLimits.start();
+const limitIngest = [ingestLimits.byIp, requireDevice, ingestLimits.byDevice];
+
+// The public /verify/* routes recompute hashes and read the ledger on every
+// call, so they get their own per-IP limit (not shared with device ingest)
+const verifyLimits = createIngestLimits({
+  file: path.join(STATE_DIR, 'verifyUsage.json'),
+  ipPerWindow: parseInt(process.env.RATE_LIMIT_VERIFY_PER_MIN || '20'),
+  devicePerWindow: 0,
+  dailyBudget: 0
+});
+verifyLimits.start();
+
+// API auth: bearer tokens with admin / teacher / device roles.
+// Required by default; "off" and the example secret are only accepted in DEV_MODE.
+const AUTH_MODE = process.env.AUTH_MODE || 'required';
+const EXAMPLE_AUTH_SECRET = 'change-me-to-a-long-random-string';
+if (!DEV_MODE) {
+  if (AUTH_MODE === 'off') {
+    console.error('❌ Refusing to start with AUTH_MODE=off outside DEV_MODE (admin routes would be open)');
+    process.exit(1);
+  }
+  if (!process.env.AUTH_SECRET || process.env.AUTH_SECRET === EXAMPLE_AUTH_SECRET) {
+    console.error('❌ Refusing to start without a real AUTH_SECRET: set a long random value, or set DEV_MODE=true');
+    process.exit(1);
+  }
+}
+let authorize;
+try {
+  authorize = createAuthorizer({ secret: process.env.AUTH_SECRET, mode: AUTH_MODE });
+} catch (error) {
+  console.error('❌ Cannot initialize auth:', error.message);
+  process.exit(1);
+}
+const adminOnly = authorize(['admin']);
+const fromBody = req => req.body?.classId;
+const fromQuery = req => req.query.classId;
+const fromParams = req => req.params.classId;
+
+// Per-student codes for attendance self-verification
+const verificationCodes = createVerificationCodes({ file: path.join(STATE_DIR, 'verificationCodes.json') });
+const VERIFY_MAX_RANGE_DAYS = parseInt(process.env.VERIFY_MAX_RANGE_DAYS || '93');
+
+// Live stream of accepted and confirmed ledger events for dashboards
+const eventStream = createEventStream();
 
-if (!MY_ACCOUNT_ID || !MY_PRIVATE_KEY) {
-  console.error('❌ Missing required environment variables');
+// Outbound webhooks for external systems (signed, retried, replayable)
+const webhooks = createWebhooks({
+  subscriptionsFile: path.join(STATE_DIR, 'webhooks.json'),
+  deliveriesFile: path.join(STATE_DIR, 'webhookDeliveries.json'),
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8'),
+  baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '5000'),
+  maxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS || '3600000')
+});
+webhooks.start();
+
+// Attendance anchoring: "per_tap" publishes every record; "merkle" collects a
+// session's records off-ledger and anchors their Merkle root when it closes
+const ATTENDANCE_ANCHORING = process.env.ATTENDANCE_ANCHORING || 'per_tap';
+if (!ANCHORING_MODES.includes(ATTENDANCE_ANCHORING)) {
+  console.error(`❌ Unknown ATTENDANCE_ANCHORING "${ATTENDANCE_ANCHORING}" (expected one of: ${ANCHORING_MODES.join(', ')})`);
   process.exit(1);
 }
+const sessionBatches = createSessionBatches({ dir: path.join(STATE_DIR, 'batches') });
+
+// Ledger message type -> webhook event, emitted once the message is on the ledger
+const WEBHOOK_EVENT_BY_TYPE = {
+  attendance: 'attendance.recorded',
+  attendance_checkout: 'attendance.recorded',
+  attendance_presence: 'attendance.recorded',
+  attendance_amendment: 'attendance.amended'
+};
+
+// Durable outbox: events are persisted first, then published with retries
+const outbox = createOutbox({
+  file: path.join(STATE_DIR, 'outbox.json'),
+  publish: publishToLedger,
+  maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '10'),
+  baseDelayMs: parseInt(process.env.OUTBOX_RETRY_BASE_MS || '2000'),
+  maxDelayMs: parseInt(process.env.OUTBOX_RETRY_MAX_MS || '300000'),
+  onPublished: item => {
+    eventStream.publish('confirmed', item.payload, {
+      topicId: item.topicId,
+      consensusTimestamp: item.consensusTimestamp,
+      sequenceNumber: item.sequenceNumber
+    });
+    if (ATTENDANCE_TYPES.includes(item.payload.type)) {
+      attendanceStore.record({
+        ...item.payload,
+        consensusTimestamp: item.consensusTimestamp,
+        sequenceNumber: item.sequenceNumber
+      });
+    }
+    const event = WEBHOOK_EVENT_BY_TYPE[item.payload.type];
+    if (event) {
+      webhooks.emit(event, {
+        ...item.payload,
+        topicId: item.topicId,
+        consensusTimestamp: item.consensusTimestamp,
+        sequenceNumber: item.sequenceNumber
+      }, item.payload.classId);
+    }
+    if (item.payload.type === 'attendance_anchor') {
+      confirmAnchor(item);
+    }
+  }
+});
 
-const client = Client.forTestnet().setOperator(MY_ACCOUNT_ID, MY_PRIVATE_KEY);
+// Load schedule and roster (editable through the API, reloaded on file edits)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+const classStore = createClassStore({
+  scheduleFile: path.join(DATA_DIR, 'schedule.json'),
+  rosterFile: path.join(DATA_DIR, 'roster.json'),
+  hasRecords: (classId, sessionId) => attendanceStore.getSession(classId, sessionId).size > 0
+});
+classStore.watch();
 
-// Load schedule and roster
-const scheduleData = JSON.parse(
-  fs.readFileSync(path.join(__dirname, '../data/schedule.json'), 'utf-8')
-);
-const rosterData = JSON.parse(
-  fs.readFileSync(path.join(__dirname, '../data/roster.json'), 'utf-8')
-);
+// Alert notification channels: the local log always, webhook/SMTP when configured
+const alertChannels = { log: createLogChannel({ file: path.join(STATE_DIR, 'alerts.log') }) };
+if (process.env.ALERT_WEBHOOK_URL) {
+  alertChannels.webhook = createWebhookChannel({ url: process.env.ALERT_WEBHOOK_URL });
+}
+if (process.env.SMTP_HOST && process.env.ALERT_EMAIL_TO) {
+  alertChannels.smtp = createSmtpChannel({
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    },
+    from: process.env.ALERT_EMAIL_FROM || 'eduair@localhost',
+    to: process.env.ALERT_EMAIL_TO.split(',').map(address => address.trim())
+  });
+}
 
-// Track attendance in-memory (for absent marking)
-const attendanceLog = new Map(); // key: "classId:session", value: Set<uidHash>
+// Threshold alert rules evaluated on incoming telemetry; every transition is
+// published to the alerts topic for an auditable record
+const alertEngine = createAlertEngine({
+  rulesFile: path.join(STATE_DIR, 'alertRules.json'),
+  stateFile: path.join(STATE_DIR, 'alertState.json'),
+  channels: alertChannels,
+  publish: alert => submitEvent(resolveTopicIdByType('alerts'), alert),
+  timeZoneOf: classId => classStore.getSchedule(classId)?.timezone
+});
 
 // Helper: Find session by ID
 function findSession(classId, sessionId) {
-  const classSchedule = scheduleData[classId];
-  if (!classSchedule) return null;
-  return classSchedule.sessions.find(s => s.id === sessionId);
+  return classStore.findSession(classId, sessionId);
+}
+
+// Tap window defaults; schedule.json can override them per class and per session
+const DEFAULT_TAP_WINDOW = {
+  earlyMin: parseInt(process.env.TAP_EARLY_MIN || '15'),
+  onTimeMin: parseInt(process.env.LATE_TOLERANCE_MIN || '5'),
+  lateMin: parseInt(process.env.VERY_LATE_MIN || '15'),
+  afterEndMin: parseInt(process.env.TAP_AFTER_END_MIN || '0'),
+  leftEarlyMin: parseInt(process.env.LEFT_EARLY_MIN || '10')
+};
+
+// Check-out taps: a second tap registers as check-out (CHECKOUT_TAPS=on, or
+// "checkout": true on a class or session in schedule.json)
+const CHECKOUT_TAPS = process.env.CHECKOUT_TAPS || 'off';
+const CHECKOUT_MIN_GAP_MIN = parseInt(process.env.CHECKOUT_MIN_GAP_MIN || '5');
+
+// Helper: Effective tap settings of a session (session > class > env defaults)
+function sessionSettings(classId, sessionInfo) {
+  const { timezone, tapWindow, checkout } = classStore.getSchedule(classId);
+  return {
+    timezone,
+    window: { ...DEFAULT_TAP_WINDOW, ...tapWindow, ...sessionInfo.tapWindow },
+    checkout: sessionInfo.checkout ?? checkout ?? CHECKOUT_TAPS === 'on'
+  };
 }
 
-// Helper: Publish to HCS
-async function publishToHCS(topicId, payload) {
-  const transaction = new TopicMessageSubmitTransaction()
-    .setTopicId(topicId)
-    .setMessage(JSON.stringify(payload));
+// Helper: Grade a tap against the class/session tap window
+function evaluateSessionTap(classId, sessionInfo, ts) {
+  const { window, timezone } = sessionSettings(classId, sessionInfo);
+  return evaluateTap(ts, sessionInfo, window, timezone);
+}
+
+// Helper: Publish to the configured ledger
+async function publishToLedger(topicId, payload) {
+  const receipt = await publisher.publish(topicId, envelopes.seal(payload));
+
+  console.log(`✅ Published to ${topicId} (${publisher.name}):`, receipt.consensusTimestamp);
+  return receipt;
+}
+
+// Helper: Persist an event in the outbox and try to publish it right away.
+// Returns the outbox item; status is "published" or still "pending" on failure.
+async function submitEvent(topicId, payload, outboxId) {
+  const item = outbox.enqueue(topicId, payload, outboxId);
+  eventStream.publish('accepted', payload, { topicId });
+  return outbox.publishNow(item.id);
+}
+
+// Helper: Store the receipt of a confirmed session anchor and notify webhook
+// subscribers of the records it anchors
+function confirmAnchor(item) {
+  const { classId, session, root } = item.payload;
+  const receipt = {
+    topicId: item.topicId,
+    consensusTimestamp: item.consensusTimestamp,
+    sequenceNumber: item.sequenceNumber
+  };
+  sessionBatches.setReceipt(classId, session, receipt);
+
+  for (const [leafIndex, leaf] of sessionBatches.leaves(classId, session).entries()) {
+    const event = WEBHOOK_EVENT_BY_TYPE[leaf.type];
+    if (event) webhooks.emit(event, { ...leaf, topicId: item.topicId, anchor: { ...receipt, root, leafIndex } }, classId);
+  }
+}
+
+// Helper: Build the ingest response for an outbox item
+function publishResult(item) {
+  if (item.status === 'collected') {
+    return {
+      httpStatus: 202,
+      body: {
+        status: 'collected',
+        message: 'Accepted; anchored with the session when it closes',
+        topicId: item.topicId,
+        leafIndex: item.leafIndex
+      }
+    };
+  }
 
-  const txResponse = await transaction.execute(client);
-  const receipt = await txResponse.getReceipt(client);
-  const consensusTimestamp = txResponse.consensusTimestamp;
+  if (item.status === 'published') {
+    return {
+      httpStatus: 200,
+      body: {
+        status: 'success',
+        consensusTimestamp: item.consensusTimestamp,
+        sequenceNumber: item.sequenceNumber,
+        topicId: item.topicId,
+        outboxId: item.id
+      }
+    };
+  }
 
-  console.log(`✅ Published to ${topicId}:`, consensusTimestamp.toString());
-  return consensusTimestamp.toString();
+  return {
+    httpStatus: 202,
+    body: {
+      status: 'queued',
+      message: `Accepted; publish will be retried (${item.lastError})`,
+      topicId: item.topicId,
+      outboxId: item.id
+    }
+  };
 }
 
 // Health check
@@ -69,13 +434,19 @@ app.get('/', (req, res) => {
   res.json({
     status: 'healthy',
     service: 'EduAir Enhanced HCS API',
+    ledger: publisher.name,
     topics: config,
     features: ['attendance', 'telemetry', 'noise-monitoring', 'privacy-preserving']
   });
 });
 
+// Sensor schema (canonical keys, units, valid ranges)
+app.get('/sensors/schema', (req, res) => {
+  res.json({ version: SENSOR_SCHEMA_VERSION, sensors: SENSOR_SCHEMA });
+});
+
 // Get session salt (for client-side hashing)
-app.get('/session/salt', (req, res) => {
+app.get('/session/salt', authorize(['admin', 'teacher', 'device'], { classId: fromQuery }), (req, res) => {
   const { classId, start } = req.query;
 
   if (!classId || !start) {
@@ -84,14 +455,11 @@ app.get('/session/salt', (req, res) => {
     });
   }
 
-  const SALT_SECRET = process.env.SALT_SECRET || 'default-secret-change-me';
-  const sessionSalt = deriveSessionSalt(SALT_SECRET, classId, start);
-
-  res.json({ sessionSalt });
+  res.json(saltKeyring.saltFor(classId, start));
 });
 
 // Generic ingest endpoint (legacy support)
-app.post('/ingest', async (req, res) => {
+app.post('/ingest', limitIngest, idempotent, async (req, res) => {
   try {
     const { type } = req.body;
 
@@ -110,60 +478,205 @@ app.post('/ingest', async (req, res) => {
 });
 
 // Dedicated attendance endpoint
-app.post('/ingest/attendance', handleAttendance);
+app.post('/ingest/attendance', limitIngest, idempotent, handleAttendance);
 
-async function handleAttendance(req, res) {
-  try {
-    const { classId, session, uidHash, ts } = req.body;
+// Helper: Check an event against the authenticated device (if any).
+// Returns an error object, or null when the device may report this event.
+function checkDevice(device, { deviceId, classId }) {
+  if (!device) return null;
 
-    // Validation
-    if (!classId || !session || !uidHash) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Missing required fields: classId, session, uidHash'
-      });
-    }
+  if (deviceId && deviceId !== device.deviceId) {
+    return { code: 403, error: `deviceId ${deviceId} does not match authenticated device ${device.deviceId}` };
+  }
+  if (device.classIds?.length > 0 && !device.classIds.includes(classId)) {
+    return { code: 403, error: `Device ${device.deviceId} is not registered for class ${classId}` };
+  }
+  return null;
+}
 
-    // Find session in schedule
-    const sessionInfo = findSession(classId, session);
-    if (!sessionInfo) {
-      return res.status(404).json({
-        status: 'error',
-        message: `Session ${session} not found for class ${classId}`
-      });
-    }
+// Helper: Check an optional event timestamp (Unix ms). Strings or other
+// non-integers would turn every tap window comparison into NaN.
+function timestampError(ts) {
+  if (ts === undefined || ts === null || Number.isSafeInteger(ts)) return null;
+  return { code: 400, error: 'ts must be an integer timestamp in milliseconds' };
+}
 
-    // Determine status
-    const timestamp = ts || Date.now();
-    const LATE_TOLERANCE_MIN = parseInt(process.env.LATE_TOLERANCE_MIN || '5');
-    const status = determineStatus(timestamp, sessionInfo.startIso, LATE_TOLERANCE_MIN);
+// Helper: Validate an attendance event and build its ledger payload.
+// Returns { error, code } when invalid, otherwise { topicId, payload }.
+function buildAttendanceEvent({ classId, session, uidHash, deviceId, ts, saltVersion }, device) {
+  // Validation
+  if (!classId || !session || !uidHash) {
+    return { code: 400, error: 'Missing required fields: classId, session, uidHash' };
+  }
 
-    // Track attendance
-    const logKey = `${classId}:${session}`;
-    if (!attendanceLog.has(logKey)) {
-      attendanceLog.set(logKey, new Set());
-    }
-    attendanceLog.get(logKey).add(uidHash);
+  const deviceError = checkDevice(device, { deviceId, classId });
+  if (deviceError) return deviceError;
 
-    // Publish to HCS
-    const payload = {
-      type: 'attendance',
-      classId,
-      session,
-      uidHash,
-      status,
-      ts: timestamp
-    };
+  const tsError = timestampError(ts);
+  if (tsError) return tsError;
 
-    const topicId = resolveTopicIdByType('attendance');
-    const consensusTimestamp = await publishToHCS(topicId, payload);
+  // Find session in schedule
+  const sessionInfo = findSession(classId, session);
+  if (!sessionInfo) {
+    return { code: 404, error: `Session ${session} not found for class ${classId}` };
+  }
 
-    res.json({
+  // The hash must come from the session's salt version (devices send the one /session/salt returned)
+  const sessionSaltVersion = saltKeyring.versionFor(sessionInfo.startIso);
+  if (saltVersion !== undefined && saltVersion !== sessionSaltVersion) {
+    return { code: 422, error: `saltVersion ${saltVersion} does not match session salt version ${sessionSaltVersion}`, reason: 'salt_version' };
+  }
+
+  // Determine status (taps outside the session's tap window are rejected)
+  const timestamp = ts ?? Date.now();
+  const tap = evaluateSessionTap(classId, sessionInfo, timestamp);
+  if (!tap.accepted) {
+    return { code: 422, error: tap.message, reason: tap.reason };
+  }
+
+  const payload = {
+    type: 'attendance',
+    classId,
+    session,
+    uidHash,
+    saltVersion: sessionSaltVersion,
+    status: tap.status,
+    minutesLate: tap.minutesLate,
+    deviceId: device?.deviceId || deviceId,
+    ts: timestamp
+  };
+
+  return { topicId: resolveTopicIdByType('attendance'), payload, sessionInfo };
+}
+
+// Helper: Track an accepted tap (for absent marking)
+function recordAttendance(payload) {
+  attendanceStore.record(payload);
+}
+
+// Statuses (original or amended) that mean the student was not there
+const ABSENT_STATUSES = ['absent_marked', 'excused_absence'];
+
+// Helper: Persist, track and publish an attendance-topic payload.
+// In merkle mode, records of a session that is not anchored yet are collected
+// into its batch instead (returns an item with status "collected").
+async function publishAttendanceRecord(topicId, payload) {
+  if (ATTENDANCE_ANCHORING === 'merkle' && sessionBatches.isOpen(payload.classId, payload.session)) {
+    const leafIndex = sessionBatches.collect(payload);
+    recordAttendance(payload);
+    eventStream.publish('accepted', payload, { topicId });
+    return { id: null, status: 'collected', topicId, leafIndex };
+  }
+
+  const item = outbox.enqueue(topicId, payload);
+  recordAttendance({ ...payload, outboxId: item.id });
+  eventStream.publish('accepted', payload, { topicId });
+  await outbox.publishNow(item.id);
+  return item;
+}
+
+// Helper: Whether a repeat tap should register as check-out
+function isCheckout(event, existing) {
+  if (!event.sessionInfo || existing.status === 'absent_marked' || existing.checkout) return false;
+  if (!sessionSettings(event.payload.classId, event.sessionInfo).checkout) return false;
+  // Taps right after check-in are accidental double taps, not check-outs
+  return event.payload.ts - existing.ts >= CHECKOUT_MIN_GAP_MIN * 60000;
+}
+
+// Helper: Record and publish a check-out for an existing arrival
+async function submitCheckout(event, existing) {
+  const { classId, session, uidHash, saltVersion, deviceId, ts } = event.payload;
+  const { window } = sessionSettings(classId, event.sessionInfo);
+  const { minutesPresent } = computePresence(event.sessionInfo, existing.ts, ts, window.leftEarlyMin);
+
+  const payload = { type: 'attendance_checkout', classId, session, uidHash, saltVersion, deviceId, ts, minutesPresent };
+  const item = await publishAttendanceRecord(event.topicId, payload);
+
+  return { record: attendanceStore.get(classId, session, uidHash), item, topicId: event.topicId, duplicate: false, checkout: true };
+}
+
+// Helper: Record and publish an attendance event, suppressing repeat taps.
+// A hash already recorded for the session is not republished (unless the
+// tap is a check-out); the original record is returned with duplicate: true.
+async function submitAttendance(event) {
+  const { classId, session, uidHash } = event.payload;
+
+  const existing = attendanceStore.get(classId, session, uidHash);
+  if (existing) {
+    if (isCheckout(event, existing)) return submitCheckout(event, existing);
+
+    const item = existing.outboxId ? outbox.get(existing.outboxId) : null;
+    return { record: existing, item, topicId: event.topicId, duplicate: true };
+  }
+
+  const item = await publishAttendanceRecord(event.topicId, event.payload);
+
+  return { record: attendanceStore.get(classId, session, uidHash), item, topicId: event.topicId, duplicate: false };
+}
+
+// Helper: Build the ingest response for a submitted attendance event
+function attendanceResult({ record, item, topicId, duplicate, checkout = false }) {
+  // A check-out answers with the check-out's own ledger receipt
+  const receipt = checkout ? record.checkout : record;
+  const details = {
+    attendanceStatus: record.status,
+    duplicate,
+    ...(checkout && { checkout: true, minutesPresent: receipt.minutesPresent })
+  };
+
+  if (item && !receipt.consensusTimestamp) {
+    const { httpStatus, body } = publishResult(item);
+    return { httpStatus, body: { ...body, ...details } };
+  }
+
+  // Repeat of a record collected into a Merkle batch (it has no ledger receipt of its own)
+  if (!item && !receipt.consensusTimestamp && !receipt.outboxId) {
+    const { httpStatus, body } = publishResult({ status: 'collected', topicId });
+    return { httpStatus, body: { ...body, ...details } };
+  }
+
+  return {
+    httpStatus: 200,
+    body: {
       status: 'success',
-      attendanceStatus: status,
-      consensusTimestamp,
-      topicId
-    });
+      consensusTimestamp: receipt.consensusTimestamp,
+      sequenceNumber: receipt.sequenceNumber,
+      topicId,
+      outboxId: receipt.outboxId,
+      ...details
+    }
+  };
+}
+
+// Helper: Ledger messages a submitted attendance event costs (repeat taps and
+// records collected into a Merkle batch cost none)
+function attendanceCost({ item, duplicate }) {
+  return !duplicate && item && item.status !== 'collected' ? 1 : 0;
+}
+
+// Helper: Ledger messages an attendance event will cost once submitted
+// (an upper bound: repeats of a hash within one batch are each counted)
+function plannedAttendanceCost(event) {
+  const { classId, session, uidHash } = event.payload;
+  const existing = attendanceStore.get(classId, session, uidHash);
+  if (existing && !isCheckout(event, existing)) return 0;
+  if (ATTENDANCE_ANCHORING === 'merkle' && sessionBatches.isOpen(classId, session)) return 0;
+  return 1;
+}
+
+async function handleAttendance(req, res) {
+  try {
+    const event = buildAttendanceEvent(req.body, req.device);
+    if (event.error) {
+      return res.status(event.code).json({ status: 'error', message: event.error, reason: event.reason });
+    }
+
+    // Track attendance and publish to ledger (repeat taps are not republished)
+    const submitted = await submitAttendance(event);
+    ingestLimits.charge(req, attendanceCost(submitted));
+    const { httpStatus, body } = attendanceResult(submitted);
+
+    res.status(httpStatus).json(body);
 
   } catch (error) {
     console.error('❌ Error processing attendance:', error.message);
@@ -172,39 +685,78 @@ async function handleAttendance(req, res) {
 }
 
 // Dedicated telemetry endpoint
-app.post('/ingest/telemetry', handleTelemetry);
+app.post('/ingest/telemetry', limitIngest, idempotent, handleTelemetry);
+
+// Helper: Validate a telemetry reading and build its ledger payload.
+// Returns { error, code } when invalid, otherwise { topicId, payload }.
+function buildTelemetryEvent({ classId, session, sensors, deviceId, ts }, device) {
+  // Validation (basic)
+  if (!sensors || typeof sensors !== 'object') {
+    return { code: 400, error: 'Missing sensors object' };
+  }
+
+  const deviceError = checkDevice(device, { deviceId, classId });
+  if (deviceError) return deviceError;
+
+  const tsError = timestampError(ts);
+  if (tsError) return tsError;
+
+  // Normalize aliases and check physical ranges against the sensor schema
+  const normalized = normalizeSensors(sensors);
+  const SENSOR_OUT_OF_RANGE = process.env.SENSOR_OUT_OF_RANGE || 'flag';
+
+  if (SENSOR_OUT_OF_RANGE === 'reject' && normalized.outOfRange.length > 0) {
+    return { code: 422, error: `Sensor values out of range: ${normalized.outOfRange.join(', ')}` };
+  }
+
+  // A reading is only published with at least one valid sensor value;
+  // dropped keys are listed so the device can tell what was wrong
+  if (Object.keys(normalized.sensors).length === 0) {
+    const dropped = Object.entries(normalized.flagged).map(([key, { reason }]) => `${key}: ${reason}`);
+    return {
+      code: 400,
+      error: dropped.length > 0
+        ? `No valid sensor readings in sensors object (${dropped.join(', ')})`
+        : 'No sensor readings in sensors object'
+    };
+  }
+
+  // Build payload
+  const payload = {
+    type: 'telemetry',
+    schemaVersion: SENSOR_SCHEMA_VERSION,
+    classId: classId || 'unknown',
+    session: session || 'unknown',
+    deviceId: device?.deviceId || deviceId || 'unknown',
+    sensors: normalized.sensors,
+    ts: ts ?? Date.now()
+  };
+
+  // Dropped values are kept for diagnosis but never mixed into sensors
+  if (Object.keys(normalized.flagged).length > 0) {
+    payload.flagged = normalized.flagged;
+  }
+
+  return { topicId: resolveTopicIdByType('telemetry'), payload };
+}
 
 async function handleTelemetry(req, res) {
   try {
-    const { classId, session, sensors, deviceId, ts } = req.body;
-
-    // Validation (basic)
-    if (!sensors) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Missing sensors object'
-      });
+    const event = buildTelemetryEvent(req.body, req.device);
+    if (event.error) {
+      return res.status(event.code).json({ status: 'error', message: event.error });
     }
 
-    // Build payload
-    const payload = {
-      type: 'telemetry',
-      classId: classId || 'unknown',
-      session: session || 'unknown',
-      deviceId: deviceId || 'unknown',
-      sensors,
-      ts: ts || Date.now()
-    };
+    // Publish to ledger
+    const item = await submitEvent(event.topicId, event.payload);
+    ingestLimits.charge(req);
+    const { httpStatus, body } = publishResult(item);
 
-    // Publish to HCS
-    const topicId = resolveTopicIdByType('telemetry');
-    const consensusTimestamp = await publishToHCS(topicId, payload);
+    res.status(httpStatus).json({ ...body, flagged: event.payload.flagged });
 
-    res.json({
-      status: 'success',
-      consensusTimestamp,
-      topicId
-    });
+    // Alerts are evaluated after answering, so notifications never slow down devices
+    alertEngine.evaluate(event.payload)
+      .catch(error => console.error('❌ Error evaluating alerts:', error.message));
 
   } catch (error) {
     console.error('❌ Error processing telemetry:', error.message);
@@ -212,123 +764,1180 @@ async function handleTelemetry(req, res) {
   }
 }
 
-// Admin: Close session and mark absentees
-app.post('/admin/closeSession', async (req, res) => {
+// HCS splits messages over this size into chunks, each a separate paid transaction
+const HCS_CHUNK_BYTES = 1024;
+
+// Helper: Split a device's telemetry readings into telemetry_batch payloads of
+// at most maxReadings readings that stay within one HCS chunk once published
+// (a single oversized reading still gets its own message)
+function packTelemetry(entries, maxReadings) {
+  const packOf = group => ({
+    type: 'telemetry_batch',
+    deviceId: group[0].payload.deviceId,
+    count: group.length,
+    readings: group.map(entry => entry.payload)
+  });
+  const publishedBytes = group => Buffer.byteLength(JSON.stringify(envelopes.seal(packOf(group))));
+
+  const groups = [];
+  let current = [];
+  for (const entry of entries) {
+    const candidate = [...current, entry];
+    if (current.length > 0 && (candidate.length > maxReadings || publishedBytes(candidate) > HCS_CHUNK_BYTES)) {
+      groups.push(current);
+      current = [entry];
+    } else {
+      current = candidate;
+    }
+  }
+  if (current.length > 0) groups.push(current);
+
+  return groups.map(group => ({ entries: group, payload: packOf(group) }));
+}
+
+// Batch endpoint for readings buffered by offline devices.
+// Each event is validated independently; telemetry readings are packed into
+// "telemetry_batch" ledger messages while keeping each reading's own ts.
+app.post('/ingest/batch', limitIngest, idempotent, async (req, res) => {
   try {
-    const { classId, session } = req.body;
+    const events = Array.isArray(req.body) ? req.body : req.body?.events;
+    const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE || '200');
+    const BATCH_PACK_SIZE = parseInt(process.env.BATCH_PACK_SIZE || '10');
 
-    if (!classId || !session) {
+    if (!Array.isArray(events) || events.length === 0) {
       return res.status(400).json({
-        error: 'Missing classId or session'
+        status: 'error',
+        message: 'Expected a non-empty array of events (or { "events": [...] })'
       });
     }
 
-    // Get session info
-    const sessionInfo = findSession(classId, session);
-    if (!sessionInfo) {
-      return res.status(404).json({
-        error: `Session ${session} not found`
+    if (events.length > MAX_BATCH_SIZE) {
+      return res.status(413).json({
+        status: 'error',
+        message: `Batch too large: ${events.length} events (max ${MAX_BATCH_SIZE})`
       });
     }
 
-    // Get roster
-    const roster = rosterData[classId];
-    if (!roster) {
-      return res.status(404).json({
-        error: `Roster not found for class ${classId}`
-      });
-    }
+    const results = new Array(events.length);
+    const attendanceEvents = []; // [{ index, event }]
+    const telemetryGroups = new Map(); // "topicId|deviceId" -> [{ index, payload }]
+
+    const reject = (index, reason) => {
+      results[index] = { index, status: 'rejected', reason };
+    };
+    const resolve = (index, item) => {
+      results[index] = {
+        index,
+        status: item.status === 'published' ? 'accepted' : 'queued',
+        consensusTimestamp: item.consensusTimestamp,
+        sequenceNumber: item.sequenceNumber,
+        topicId: item.topicId,
+        outboxId: item.id
+      };
+    };
 
-    // Get attended UIDs
-    const logKey = `${classId}:${session}`;
-    const attendedHashes = attendanceLog.get(logKey) || new Set();
+    for (const [index, raw] of events.entries()) {
+      if (!raw || typeof raw !== 'object') {
+        reject(index, 'Event must be an object');
+        continue;
+      }
 
-    // Compute absentees
-    const SALT_SECRET = process.env.SALT_SECRET || 'default-secret-change-me';
-    const sessionSalt = deriveSessionSalt(SALT_SECRET, classId, sessionInfo.startIso);
-    
-    const absentees = [];
-    const timestamp = Date.now();
-    const topicId = resolveTopicIdByType('attendance');
+      // Default to telemetry, like /ingest
+      const type = raw.type || 'telemetry';
 
-    for (const student of roster.students) {
-      const uidHash = computeUidHash(student.cardUidHex, sessionSalt);
-      
-      if (!attendedHashes.has(uidHash)) {
-        // Mark as absent
-        const payload = {
-          type: 'attendance',
-          classId,
-          session,
-          uidHash,
-          status: 'absent_marked',
-          ts: timestamp
-        };
-
-        await publishToHCS(topicId, payload);
-        absentees.push({
-          studentId: student.studentId,
-          uidHash
-        });
-
-        // Add to attendance log
-        attendedHashes.add(uidHash);
+      if (type === 'attendance') {
+        const event = buildAttendanceEvent(raw, req.device);
+        if (event.error) {
+          reject(index, event.error);
+          continue;
+        }
+        attendanceEvents.push({ index, event });
+      } else if (type === 'telemetry') {
+        const event = buildTelemetryEvent(raw, req.device);
+        if (event.error) {
+          reject(index, event.error);
+          continue;
+        }
+        const groupKey = `${event.topicId}|${event.payload.deviceId}`;
+        if (!telemetryGroups.has(groupKey)) telemetryGroups.set(groupKey, []);
+        telemetryGroups.get(groupKey).push({ index, topicId: event.topicId, payload: event.payload });
+      } else {
+        reject(index, `Unknown event type: ${type}`);
       }
     }
 
-    attendanceLog.set(logKey, attendedHashes);
+    // Pack telemetry readings per device into fewer ledger messages
+    const packs = [...telemetryGroups.values()].flatMap(group => packTelemetry(group, BATCH_PACK_SIZE));
+
+    // Nothing is published unless the device's budget covers the whole batch
+    const planned = attendanceEvents.reduce((sum, { event }) => sum + plannedAttendanceCost(event), 0) + packs.length;
+    if (!ingestLimits.withinBudget(req, res, planned)) return;
+
+    for (const { index, event } of attendanceEvents) {
+      const submitted = await submitAttendance(event);
+      ingestLimits.charge(req, attendanceCost(submitted));
+      const { body } = attendanceResult(submitted);
+      results[index] = {
+        index,
+        status: { success: 'accepted', collected: 'collected' }[body.status] || 'queued',
+        consensusTimestamp: body.consensusTimestamp,
+        sequenceNumber: body.sequenceNumber,
+        topicId: body.topicId,
+        outboxId: body.outboxId,
+        attendanceStatus: body.attendanceStatus,
+        duplicate: body.duplicate,
+        checkout: body.checkout
+      };
+    }
+
+    for (const { entries: chunk, payload: packed } of packs) {
+      const item = await submitEvent(chunk[0].topicId, packed);
+      ingestLimits.charge(req);
+      chunk.forEach(entry => {
+        resolve(entry.index, item);
+        results[entry.index].flagged = entry.payload.flagged;
+      });
+    }
+
+    const rejected = results.filter(r => r.status === 'rejected').length;
+    const queued = results.filter(r => r.status === 'queued').length;
 
     res.json({
-      status: 'success',
-      classId,
-      session,
-      totalStudents: roster.students.length,
-      attended: attendedHashes.size - absentees.length,
-      markedAbsent: absentees.length,
-      absentees
+      status: rejected === 0 ? 'success' : 'partial',
+      total: events.length,
+      accepted: events.length - rejected - queued,
+      queued,
+      rejected,
+      results
     });
 
+    // Buffered readings go through the alert rules too, oldest first so
+    // sustained durations are measured on the readings' own timeline
+    const readings = packs.flatMap(pack => pack.entries.map(entry => entry.payload)).sort((a, b) => a.ts - b.ts);
+    (async () => {
+      for (const reading of readings) await alertEngine.evaluate(reading);
+    })().catch(error => console.error('❌ Error evaluating alerts:', error.message));
+
   } catch (error) {
-    console.error('❌ Error closing session:', error.message);
-    res.status(500).json({ error: error.message });
+    console.error('❌ Error processing batch:', error.message);
+    res.status(500).json({ status: 'error', message: error.message });
   }
 });
 
-// Get schedule (for client reference)
-app.get('/schedule/:classId', (req, res) => {
-  const { classId } = req.params;
-  const schedule = scheduleData[classId];
+// Helper: Close a session and mark absentees.
+// Idempotent: students already recorded (including absentees) are skipped.
+// Returns { error, code } when the session cannot be closed, otherwise the summary.
+async function closeSession(classId, session, closedBy) {
+  // Get session info
+  const sessionInfo = findSession(classId, session);
+  if (!sessionInfo) {
+    return { code: 404, error: `Session ${session} not found` };
+  }
 
-  if (!schedule) {
-    return res.status(404).json({ error: 'Class not found' });
+  // Get roster
+  const roster = classStore.getRoster(classId);
+  if (!roster) {
+    return { code: 404, error: `Roster not found for class ${classId}` };
   }
 
-  res.json(schedule);
-});
+  // Catch up with taps recorded by other instances or before a restart
+  const topicId = resolveTopicIdByType('attendance');
+  try {
+    await attendanceStore.sync(topicId);
+  } catch (error) {
+    console.warn('⚠️  Attendance sync failed, using local state:', error.message);
+  }
 
-// List all classes
-app.get('/classes', (req, res) => {
-  const classes = Object.keys(scheduleData).map(classId => ({
+  // Get recorded UIDs
+  const recorded = attendanceStore.getSession(classId, session);
+  const attended = [...recorded.values()].filter(r => !ABSENT_STATUSES.includes(effectiveStatus(r))).length;
+
+  // Compute absentees
+  const { sessionSalt, saltVersion } = saltKeyring.saltFor(classId, sessionInfo.startIso);
+
+  const absentees = [];
+  const timestamp = Date.now();
+
+  for (const student of roster.students) {
+    const uidHash = computeUidHash(student.cardUidHex, sessionSalt);
+    
+    if (!recorded.has(uidHash)) {
+      // Mark as absent
+      const payload = {
+        type: 'attendance',
+        classId,
+        session,
+        uidHash,
+        saltVersion,
+        status: 'absent_marked',
+        ts: timestamp
+      };
+
+      const { item } = await submitAttendance({ topicId, payload });
+      absentees.push({
+        studentId: student.studentId,
+        uidHash,
+        publishStatus: item.status,
+        outboxId: item.id
+      });
+    }
+  }
+
+  // End-of-session presence duration, for classes with check-out taps
+  const settings = sessionSettings(classId, sessionInfo);
+  const presence = [];
+
+  if (settings.checkout) {
+    for (const [uidHash, record] of recorded) {
+      if (ABSENT_STATUSES.includes(effectiveStatus(record)) || record.presence) continue;
+
+      const departureTs = record.checkout?.ts ?? null;
+      const { minutesPresent, leftEarly } = computePresence(
+        sessionInfo, record.ts, departureTs, settings.window.leftEarlyMin
+      );
+      const payload = {
+        type: 'attendance_presence',
+        classId,
+        session,
+        uidHash,
+        saltVersion,
+        status: leftEarly ? 'left_early' : 'present',
+        arrivalTs: record.ts,
+        departureTs,
+        minutesPresent,
+        ts: timestamp
+      };
+
+      const item = await publishAttendanceRecord(topicId, payload);
+      presence.push({ uidHash, status: payload.status, minutesPresent, publishStatus: item.status, outboxId: item.id });
+    }
+  }
+
+  // Merkle mode: one message anchors every record collected for the session
+  let anchor = null;
+  if (ATTENDANCE_ANCHORING === 'merkle') {
+    const sealed = sessionBatches.seal(classId, session, sessionCounts(classId, session), crypto.randomUUID());
+    // Enqueue unless the anchor already is in the outbox or on the ledger
+    // (a re-close after a crash between sealing and enqueueing repairs it)
+    if (!sealed.anchor.sequenceNumber && !outbox.get(sealed.anchor.outboxId)) {
+      await submitEvent(topicId, sealed.payload, sealed.anchor.outboxId);
+    }
+    const { root, leafCount, outboxId, sequenceNumber } = sessionBatches.anchorOf(classId, session);
+    anchor = { root, leafCount, outboxId, publishStatus: sequenceNumber ? 'published' : outbox.get(outboxId)?.status };
+  }
+
+  const summary = {
     classId,
-    sessionCount: scheduleData[classId].sessions.length,
-    studentCount: rosterData[classId]?.students.length || 0
-  }));
+    session,
+    totalStudents: roster.students.length,
+    attended,
+    markedAbsent: absentees.length,
+    queued: [...absentees, ...presence, ...(anchor ? [anchor] : [])]
+      .filter(a => !['published', 'collected'].includes(a.publishStatus)).length,
+    absentees,
+    ...(settings.checkout && { leftEarly: presence.filter(p => p.status === 'left_early').length, presence }),
+    ...(anchor && { anchor })
+  };
 
-  res.json({ classes });
-});
+  closedSessions.record({ classId, session, closedBy, markedAbsent: absentees.length });
+  webhooks.emit('session.closed', { ...summary, closedBy, closedAt: new Date(timestamp).toISOString() }, classId);
+  return summary;
+}
+
+// Admin: Close session and mark absentees
+app.post('/admin/closeSession', authorize(['admin', 'teacher'], { classId: fromBody }), async (req, res) => {
+  try {
+    const { classId, session } = req.body;
+
+    if (!classId || !session) {
+      return res.status(400).json({
+        error: 'Missing classId or session'
+      });
+    }
+
+    const closedBy = req.auth ? `${req.auth.role}:${req.auth.sub}` : 'manual';
+    const result = await closeSession(classId, session, closedBy);
+    if (result.error) {
+      return res.status(result.code).json({ error: result.error });
+    }
+
+    res.json({ status: 'success', ...result });
+
+  } catch (error) {
+    console.error('❌ Error closing session:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Amend an attendance record (excused absence, reader failure, correction).
+// The amendment references the original record's topic sequence number.
+app.post('/attendance/amendments', authorize(['admin', 'teacher'], { classId: fromBody }), async (req, res) => {
+  try {
+    const { classId, session, sequenceNumber, uidHash, status } = req.body || {};
+
+    if (!classId || !session) {
+      return res.status(400).json({ error: 'Missing classId or session' });
+    }
+
+    const invalid = amendmentError(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    // The original may have been recorded by another instance
+    const topicId = resolveTopicIdByType('attendance');
+    try {
+      await attendanceStore.sync(topicId);
+    } catch (error) {
+      console.warn('⚠️  Attendance sync failed, using local state:', error.message);
+    }
+
+    // Merkle-anchored records have no sequence number of their own: they are found by hash
+    const byHash = uidHash !== undefined && attendanceStore.get(classId, session, uidHash);
+    const found = uidHash !== undefined
+      ? byHash && { uidHash, record: byHash }
+      : attendanceStore.findBySequence(classId, session, sequenceNumber);
+    if (!found) {
+      return res.status(404).json({
+        error: uidHash !== undefined
+          ? `No attendance record for ${uidHash} in ${classId}/${session}`
+          : `No attendance record with sequence number ${sequenceNumber} in ${classId}/${session}`
+      });
+    }
+
+    const current = effectiveStatus(found.record);
+    if (current === status) {
+      return res.status(409).json({ error: `Record already has status ${status}` });
+    }
+
+    const amendedBy = req.auth ? `${req.auth.role}:${req.auth.sub}` : 'manual';
+    const payload = buildAmendment(
+      { classId, session, uidHash: found.uidHash, sequenceNumber: found.record.sequenceNumber, status: current },
+      req.body,
+      amendedBy
+    );
+
+    const item = await publishAttendanceRecord(topicId, payload);
+    console.log(`✏️  Amended ${classId}/${session} ${payload.amends ? `#${payload.amends}` : found.uidHash.slice(0, 10)}: ${current} → ${status} (${payload.reasonCode}, ${amendedBy})`);
+
+    const { httpStatus, body } = publishResult(item);
+    res.status(httpStatus).json({
+      ...body,
+      amendmentId: payload.amendmentId,
+      amends: payload.amends,
+      previousStatus: current,
+      effectiveStatus: status
+    });
+
+  } catch (error) {
+    console.error('❌ Error amending attendance:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper: Effective status counts of a session, plus left_early from presence
+function sessionCounts(classId, session) {
+  const records = [...attendanceStore.getSession(classId, session).values()];
+  const counts = records.reduce((totals, record) => {
+    const status = effectiveStatus(record);
+    totals[status] = (totals[status] || 0) + 1;
+    return totals;
+  }, {});
+  counts.left_early = records.filter(r => r.presence?.status === 'left_early').length;
+  return counts;
+}
+
+// Attendance of a session from the local index (effective statuses, check-outs,
+// presence and amendment history), instead of scanning the mirror node
+app.get('/attendance/:classId/:session', authorize(['admin', 'teacher'], { classId: fromParams }), (req, res) => {
+  const { classId, session } = req.params;
+  const sessionInfo = findSession(classId, session);
+  const recorded = attendanceStore.getSession(classId, session);
+
+  if (!sessionInfo && recorded.size === 0) {
+    return res.status(404).json({ error: `Session ${session} not found for class ${classId}` });
+  }
+
+  const records = [...recorded.entries()]
+    .map(([uidHash, record]) => ({
+      uidHash,
+      ...record,
+      status: effectiveStatus(record),
+      originalStatus: record.status,
+      amendments: record.amendments || []
+    }))
+    .sort((a, b) => a.ts - b.ts);
+
+  const anchor = sessionBatches.anchorOf(classId, session);
+
+  res.json({
+    classId,
+    session,
+    startIso: sessionInfo?.startIso || null,
+    durationMin: sessionInfo?.durationMin || null,
+    closed: closedSessions.has(classId, session),
+    summary: sessionCounts(classId, session),
+    ...(anchor && { anchor: { ...anchor, mirrorLink: anchor.sequenceNumber ? mirrorLink(anchor.topicId, anchor.sequenceNumber) : null } }),
+    records
+  });
+});
+
+// Merkle inclusion proofs of one hash's records in an anchored session
+app.get('/attendance/:classId/:session/proofs/:uidHash', authorize(['admin', 'teacher'], { classId: fromParams }), (req, res) => {
+  const { classId, session, uidHash } = req.params;
+  const anchor = sessionBatches.anchorOf(classId, session);
+  if (!anchor) {
+    return res.status(404).json({ error: `Session ${classId}/${session} is not Merkle-anchored` });
+  }
+
+  const proofs = sessionBatches.proofs(classId, session, uidHash);
+  if (proofs.length === 0) {
+    return res.status(404).json({ error: `No record for ${uidHash} in ${classId}/${session}` });
+  }
+
+  res.json({
+    classId,
+    session,
+    uidHash,
+    anchor: { ...anchor, mirrorLink: anchor.sequenceNumber ? mirrorLink(anchor.topicId, anchor.sequenceNumber) : null },
+    proofs
+  });
+});
+
+// Telemetry readings in a time range from the local index
+// (?from=&to= as ISO dates or ms; defaults to the last 24 hours).
+// Without ?classId=, teachers get the readings of every class in their token.
+app.get('/telemetry', authorize(['admin', 'teacher'], { classId: fromQuery, optionalClassId: true }), (req, res) => {
+  const parseTime = value => (/^\d+$/.test(value) ? parseInt(value) : Date.parse(value));
+  const to = req.query.to ? parseTime(req.query.to) : Date.now();
+  const from = req.query.from ? parseTime(req.query.from) : to - 24 * 3600 * 1000;
+  const limit = Math.min(parseInt(req.query.limit || '5000'), 20000);
+
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: 'Invalid from/to range' });
+  }
+  if (to - from > TELEMETRY_MAX_RANGE_DAYS * 24 * 3600 * 1000) {
+    return res.status(400).json({ error: `Range too large (max ${TELEMETRY_MAX_RANGE_DAYS} days)` });
+  }
+
+  const { classId, deviceId } = req.query;
+  const classIds = classScope(req.auth, classId) ?? undefined;
+  const { readings, truncated } = telemetryIndex.query({ from, to, classIds, deviceId, limit });
+
+  res.json({
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    count: readings.length,
+    truncated,
+    readings
+  });
+});
+
+// Downsampled telemetry: min/max/avg/p95 per sensor in 1m, 15m or 1h buckets
+// (?resolution=1h&from=&to=&classId=&deviceId=&sensors=co2ppm,tempC).
+// Without ?classId=, teachers get the buckets of every class in their token.
+app.get('/telemetry/rollups', authorize(['admin', 'teacher'], { classId: fromQuery, optionalClassId: true }), (req, res) => {
+  const resolution = req.query.resolution || '1h';
+  if (!RESOLUTIONS[resolution]) {
+    return res.status(400).json({ error: `resolution must be one of: ${Object.keys(RESOLUTIONS).join(', ')}` });
+  }
+
+  const parseTime = value => (/^\d+$/.test(value) ? parseInt(value) : Date.parse(value));
+  const to = req.query.to ? parseTime(req.query.to) : Date.now();
+  const from = req.query.from ? parseTime(req.query.from) : to - 7 * 24 * 3600 * 1000;
+
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: 'Invalid from/to range' });
+  }
+  if (to - from > MAX_RANGE_DAYS[resolution] * 24 * 3600 * 1000) {
+    return res.status(400).json({
+      error: `Range too large for ${resolution} buckets (max ${MAX_RANGE_DAYS[resolution]} days)`
+    });
+  }
+
+  const sensors = req.query.sensors ? req.query.sensors.split(',').map(key => key.trim()) : undefined;
+  const unknown = sensors?.find(key => !SENSOR_SCHEMA[key]);
+  if (unknown) {
+    return res.status(400).json({ error: `Unknown sensor "${unknown}"` });
+  }
+
+  const { classId, deviceId } = req.query;
+  const classIds = classScope(req.auth, classId) ?? undefined;
+  const buckets = telemetryRollups.query({ resolution, from, to, classIds, deviceId, sensors });
+
+  res.json({
+    resolution,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    count: buckets.length,
+    buckets
+  });
+});
+
+// Admin: Alert rules
+app.get('/admin/alerts/rules', adminOnly, (req, res) => {
+  res.json({ rules: alertEngine.listRules(), channels: alertEngine.channelNames });
+});
+
+app.post('/admin/alerts/rules', adminOnly, (req, res) => {
+  storeAction(res, () => ({ rule: alertEngine.addRule(req.body || {}) }), 201);
+});
+
+app.patch('/admin/alerts/rules/:ruleId', adminOnly, (req, res) => {
+  storeAction(res, () => ({ rule: alertEngine.updateRule(req.params.ruleId, req.body || {}) }));
+});
+
+app.delete('/admin/alerts/rules/:ruleId', adminOnly, (req, res) => {
+  storeAction(res, () => alertEngine.removeRule(req.params.ruleId));
+});
+
+// Alerts currently firing (admin, or a teacher for their class)
+app.get('/alerts/active', authorize(['admin', 'teacher'], { classId: fromQuery }), (req, res) => {
+  res.json({ alerts: alertEngine.active(req.query.classId) });
+});
+
+// Admin: Webhook subscriptions (the secret is only returned on creation)
+app.post('/admin/webhooks', adminOnly, (req, res) => {
+  storeAction(res, () => ({ webhook: webhooks.subscribe(req.body || {}) }), 201);
+});
+
+app.get('/admin/webhooks', adminOnly, (req, res) => {
+  res.json({ webhooks: webhooks.list(), events: WEBHOOK_EVENTS });
+});
+
+app.patch('/admin/webhooks/:id', adminOnly, (req, res) => {
+  storeAction(res, () => ({ webhook: webhooks.update(req.params.id, req.body || {}) }));
+});
+
+app.delete('/admin/webhooks/:id', adminOnly, (req, res) => {
+  storeAction(res, () => webhooks.unsubscribe(req.params.id));
+});
+
+// Admin: Webhook delivery log (?status=pending|delivered|failed&subscriptionId=)
+app.get('/admin/webhooks/deliveries', adminOnly, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
+  const { status, subscriptionId } = req.query;
+  res.json({ deliveries: webhooks.listDeliveries({ status, subscriptionId }).slice(0, limit) });
+});
+
+app.get('/admin/webhooks/deliveries/:id', adminOnly, (req, res) => {
+  const delivery = webhooks.get(req.params.id);
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  res.json(delivery);
+});
+
+// Admin: Send deliveries again (all failed ones, or the given ids)
+app.post('/admin/webhooks/deliveries/replay', adminOnly, async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+    const replayed = webhooks.replay(Array.isArray(ids) ? ids : undefined);
+    await webhooks.drain();
+
+    res.json({
+      status: 'success',
+      replayed: replayed.length,
+      deliveries: replayed.map(d => ({ id: d.id, event: d.event, status: d.status, lastError: d.lastError }))
+    });
+  } catch (error) {
+    console.error('❌ Error replaying webhooks:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live event stream (Server-Sent Events): "accepted" and "confirmed" events,
+// filtered by ?classId= (teachers without one get every class in their token)
+// and ?types=attendance,telemetry. EventSource cannot send headers, so the
+// bearer token may be passed as ?access_token=.
+app.get('/stream', authorize(['admin', 'teacher'], { classId: fromQuery, optionalClassId: true, queryToken: true }), (req, res) => {
+  const types = req.query.types ? req.query.types.split(',').map(type => type.trim()) : undefined;
+  eventStream.subscribe(req, res, { classIds: classScope(req.auth, req.query.classId), types });
+});
+
+// Admin: Indexer progress per topic
+app.get('/admin/indexer', adminOnly, (req, res) => {
+  res.json({ indexer: INDEXER === 'off' ? 'off' : 'on', topics: indexer.status() });
+});
+
+// Admin: Ingest usage per device and IP (published messages, throttled requests)
+app.get('/admin/usage', adminOnly, (req, res) => {
+  const { day } = req.query;
+  if (day && !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    return res.status(400).json({ error: 'day must be YYYY-MM-DD' });
+  }
+  res.json(ingestLimits.usage(day));
+});
+
+// Admin: Sessions closed so far (manually or by the scheduler)
+app.get('/admin/sessions/closed', adminOnly, (req, res) => {
+  res.json({ sessions: closedSessions.list() });
+});
+
+// Admin: Issue an API token (teachers, devices, other admins)
+app.post('/auth/tokens', adminOnly, (req, res) => {
+  if (AUTH_MODE === 'off') {
+    return res.status(400).json({ error: 'Auth is disabled (AUTH_MODE=off)' });
+  }
+
+  try {
+    const { sub, role, classIds, expiresInSec } = req.body || {};
+    const token = signToken(process.env.AUTH_SECRET, { sub, role, classIds }, expiresInSec);
+    console.log(`🎫 Issued ${role} token for ${sub} (by ${req.auth.sub})`);
+    res.status(201).json({ status: 'success', token });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: Register a device (returns its HMAC secret once)
+app.post('/admin/devices', adminOnly, (req, res) => {
+  try {
+    const device = deviceRegistry.register(req.body || {});
+    console.log(`🔑 Registered device ${device.deviceId} (${device.algorithm})`);
+    res.status(201).json({ status: 'success', device });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin: List registered devices (without key material)
+app.get('/admin/devices', adminOnly, (req, res) => {
+  res.json({ devices: deviceRegistry.list() });
+});
+
+// Admin: Revoke a device
+app.post('/admin/devices/:deviceId/revoke', adminOnly, (req, res) => {
+  const device = deviceRegistry.revoke(req.params.deviceId);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  console.log(`⛔ Revoked device ${device.deviceId}`);
+  res.json({ status: 'success', device });
+});
+
+// Admin: Outbox queue depth and stuck items
+app.get('/admin/outbox', adminOnly, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
+
+  res.json({
+    ...outbox.stats(),
+    failedItems: outbox.list('failed').slice(0, limit),
+    pendingItems: outbox.list('pending').slice(0, limit)
+  });
+});
+
+// Admin: Inspect a single outbox item
+app.get('/admin/outbox/:id', adminOnly, (req, res) => {
+  const item = outbox.get(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: 'Outbox item not found' });
+  }
+  res.json(item);
+});
+
+// Admin: Replay failed outbox items (all, or the given ids)
+app.post('/admin/outbox/replay', adminOnly, async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+    const replayed = outbox.replay(Array.isArray(ids) ? ids : undefined);
+    await outbox.drain();
+
+    res.json({
+      status: 'success',
+      replayed: replayed.length,
+      items: replayed.map(item => ({
+        id: item.id,
+        status: item.status,
+        consensusTimestamp: item.consensusTimestamp,
+        lastError: item.lastError
+      })),
+      ...outbox.stats()
+    });
+  } catch (error) {
+    console.error('❌ Error replaying outbox:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get schedule (for client reference)
+app.get('/schedule/:classId', authorize(['admin', 'teacher', 'device'], { classId: fromParams }), (req, res) => {
+  const { classId } = req.params;
+  const schedule = classStore.getSchedule(classId);
+
+  if (!schedule) {
+    return res.status(404).json({ error: 'Class not found' });
+  }
+
+  res.json(schedule);
+});
+
+// List all classes
+app.get('/classes', authorize(['admin', 'teacher', 'device']), (req, res) => {
+  const visible = classStore.listClassIds().filter(classId => !req.auth || canAccessClass(req.auth, classId));
+  const classes = visible.map(classId => ({
+    classId,
+    sessionCount: classStore.getSchedule(classId).sessions.length,
+    studentCount: classStore.getRoster(classId)?.students.length || 0
+  }));
+
+  res.json({ classes });
+});
+
+// Helper: Run a class store change and answer with its result
+function storeAction(res, action, successStatus = 200) {
+  try {
+    const result = action();
+    res.status(successStatus).json({ status: 'success', ...result });
+  } catch (error) {
+    if (!error.status) console.error('❌ Error updating classes:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+const classAdmin = authorize(['admin']);
+const classEditor = authorize(['admin', 'teacher'], { classId: fromParams });
+
+// Classes
+app.post('/classes', classAdmin, (req, res) => {
+  storeAction(res, () => ({ class: classStore.createClass(req.body || {}) }), 201);
+});
+
+app.patch('/classes/:classId', classAdmin, (req, res) => {
+  storeAction(res, () => ({ class: classStore.updateClass(req.params.classId, req.body || {}) }));
+});
+
+app.delete('/classes/:classId', classAdmin, (req, res) => {
+  storeAction(res, () => classStore.deleteClass(req.params.classId));
+});
+
+// Students (roster holds names and card UIDs: never exposed to devices)
+app.get('/classes/:classId/students', classEditor, (req, res) => {
+  const roster = classStore.getRoster(req.params.classId);
+  if (!roster) {
+    return res.status(404).json({ error: 'Class not found' });
+  }
+  res.json(roster);
+});
+
+app.post('/classes/:classId/students', classEditor, (req, res) => {
+  storeAction(res, () => ({ student: classStore.addStudent(req.params.classId, req.body || {}) }), 201);
+});
+
+app.patch('/classes/:classId/students/:studentId', classEditor, (req, res) => {
+  const { classId, studentId } = req.params;
+  storeAction(res, () => ({ student: classStore.updateStudent(classId, studentId, req.body || {}) }));
+});
+
+// Reassign a card (e.g. lost card); the old UID is kept in previousCards
+app.put('/classes/:classId/students/:studentId/card', classEditor, (req, res) => {
+  const { classId, studentId } = req.params;
+  storeAction(res, () => ({ student: classStore.reassignCard(classId, studentId, req.body || {}) }));
+});
+
+app.delete('/classes/:classId/students/:studentId', classEditor, (req, res) => {
+  storeAction(res, () => classStore.removeStudent(req.params.classId, req.params.studentId));
+});
+
+// Sessions
+app.post('/classes/:classId/sessions', classEditor, (req, res) => {
+  storeAction(res, () => ({ session: classStore.addSession(req.params.classId, req.body || {}) }), 201);
+});
+
+app.patch('/classes/:classId/sessions/:sessionId', classEditor, (req, res) => {
+  const { classId, sessionId } = req.params;
+  storeAction(res, () => ({ session: classStore.updateSession(classId, sessionId, req.body || {}) }));
+});
+
+app.delete('/classes/:classId/sessions/:sessionId', classEditor, (req, res) => {
+  storeAction(res, () => classStore.removeSession(req.params.classId, req.params.sessionId));
+});
+
+// Recurring timetable rules (expanded into sessions in the class timezone)
+app.post('/classes/:classId/rules', classEditor, (req, res) => {
+  storeAction(res, () => ({ rule: classStore.addRule(req.params.classId, req.body || {}) }), 201);
+});
+
+app.patch('/classes/:classId/rules/:ruleId', classEditor, (req, res) => {
+  const { classId, ruleId } = req.params;
+  storeAction(res, () => ({ rule: classStore.updateRule(classId, ruleId, req.body || {}) }));
+});
+
+app.delete('/classes/:classId/rules/:ruleId', classEditor, (req, res) => {
+  storeAction(res, () => classStore.removeRule(req.params.classId, req.params.ruleId));
+});
+
+// CSV import of rosters and timetables (dry run unless ?apply=true)
+app.post('/admin/import/:kind', adminOnly, express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), (req, res) => {
+  const { kind } = req.params;
+  if (!IMPORT_KINDS.includes(kind)) {
+    return res.status(404).json({ error: `Unknown import kind (expected ${IMPORT_KINDS.join(' or ')})` });
+  }
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ error: 'Send the CSV as the request body with Content-Type: text/csv' });
+  }
+
+  const apply = req.query.apply === 'true';
+  const { changes, errors, next } = planImport(kind, classStore.snapshot(), req.body, {
+    classId: req.query.classId,
+    replace: req.query.replace === 'true'
+  });
+  const summary = summarizeChanges(changes);
+
+  if (errors.length > 0) {
+    return res.status(422).json({ status: 'error', applied: false, errors, summary, changes });
+  }
+
+  if (apply && changes.length > 0) {
+    classStore.applySnapshot(next);
+    console.log(`📥 Imported ${kind} CSV:`, summary);
+  }
+
+  res.json({ status: 'success', applied: apply, summary, changes });
+});
+
+// Helper: Read one published message (as published, envelopes still sealed)
+async function readLedgerMessage(topicId, sequenceNumber) {
+  const [msg] = await rawLedgerReader.readMessages(topicId, { afterSequence: sequenceNumber - 1, limit: 1 });
+  if (!msg || msg.sequence_number !== sequenceNumber) return null;
+  try {
+    return { msg, published: JSON.parse(Buffer.from(msg.message, 'base64').toString('utf-8')) };
+  } catch {
+    return { msg, published: null };
+  }
+}
+
+// Opening of an encrypted message: the plaintext and nonce behind its commitment,
+// to hand to a verifier (teachers only for their classes)
+app.get('/ledger/:topicId/:sequenceNumber/opening', authorize(['admin', 'teacher']), async (req, res) => {
+  const { topicId } = req.params;
+  const sequenceNumber = parseInt(req.params.sequenceNumber);
+  if (!Number.isInteger(sequenceNumber) || sequenceNumber < 1) {
+    return res.status(400).json({ status: 'error', message: 'sequenceNumber must be a positive integer' });
+  }
+
+  try {
+    const found = await readLedgerMessage(topicId, sequenceNumber);
+    if (!found) {
+      return res.status(404).json({ status: 'error', message: `No message ${sequenceNumber} on topic ${topicId}` });
+    }
+    if (found.published?.type !== ENVELOPE_TYPE) {
+      return res.status(422).json({ status: 'error', message: 'Message is not encrypted; its payload is public' });
+    }
+
+    const opened = envelopes.open(found.published);
+    if (!opened) {
+      return res.status(422).json({ status: 'error', message: `No key for envelope kid ${found.published.kid}` });
+    }
+    if (req.auth && !canAccessClass(req.auth, opened.payload.classId)) {
+      return res.status(403).json({ status: 'error', message: `No access to class ${opened.payload.classId}` });
+    }
+
+    res.json({
+      topicId,
+      sequenceNumber,
+      consensusTimestamp: found.msg.consensus_timestamp,
+      commitment: opened.commitment,
+      nonce: opened.opening.nonce,
+      plaintext: opened.opening.plaintext,
+      payload: opened.payload
+    });
+  } catch (error) {
+    console.error('❌ Error opening envelope:', error.message);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Check an opening against the ledger: proves the plaintext was anchored at the
+// message's consensus timestamp (public; needs no key)
+app.post('/verify/commitment', verifyLimits.byIp, async (req, res) => {
+  const { topicId, nonce, plaintext } = req.body || {};
+  const sequenceNumber = req.body?.sequenceNumber;
+  if (!topicId || !Number.isInteger(sequenceNumber) || typeof nonce !== 'string' || typeof plaintext !== 'string') {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Required: topicId, sequenceNumber (integer), nonce and plaintext (strings)'
+    });
+  }
+
+  try {
+    const found = await readLedgerMessage(topicId, sequenceNumber);
+    if (!found) {
+      return res.status(404).json({ status: 'error', message: `No message ${sequenceNumber} on topic ${topicId}` });
+    }
+    if (found.published?.type !== ENVELOPE_TYPE) {
+      return res.status(422).json({ status: 'error', message: 'Message is not an encrypted envelope' });
+    }
+
+    res.json({
+      valid: verifyOpening(found.published, { nonce, plaintext }),
+      topicId,
+      sequenceNumber,
+      consensusTimestamp: found.msg.consensus_timestamp,
+      commitment: found.published.commitment
+    });
+  } catch (error) {
+    console.error('❌ Error verifying commitment:', error.message);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Check a Merkle inclusion proof against a session anchor on the ledger (public)
+// Body: { topicId, sequenceNumber, leaf, proof } as returned by the proofs endpoint
+app.post('/verify/inclusion', verifyLimits.byIp, async (req, res) => {
+  const { topicId, sequenceNumber, leaf, proof } = req.body || {};
+  if (!topicId || !Number.isInteger(sequenceNumber) || !leaf || typeof leaf !== 'object' || !Array.isArray(proof)) {
+    return res.status(400).json({ error: 'Required: topicId, sequenceNumber (integer), leaf (object) and proof (array)' });
+  }
+
+  try {
+    const [msg] = await ledgerReader.readMessages(topicId, { afterSequence: sequenceNumber - 1, limit: 1 });
+    const anchor = msg?.sequence_number === sequenceNumber ? decodeMessage(msg) : null;
+    if (anchor?.type !== 'attendance_anchor') {
+      return res.status(404).json({ error: `No session anchor at ${topicId} #${sequenceNumber}` });
+    }
+
+    res.json({
+      valid: anchor.classId === leaf.classId && anchor.session === leaf.session && verifyInclusion(leaf, proof, anchor.root),
+      topicId,
+      sequenceNumber,
+      consensusTimestamp: anchor.consensusTimestamp,
+      classId: anchor.classId,
+      session: anchor.session,
+      root: anchor.root
+    });
+  } catch (error) {
+    console.error('❌ Error verifying inclusion:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper: Link to a ledger message on the mirror node (the local ledger serves
+// the same path, relative to this server)
+function mirrorLink(topicId, sequenceNumber) {
+  const messagePath = `/api/v1/topics/${topicId}/messages/${sequenceNumber}`;
+  return publisher.readMessages ? messagePath : `${MIRROR_URL}${messagePath}`;
+}
+
+// Helper: Ledger entries behind a stored attendance record, oldest first
+function recordEntries(topicId, record) {
+  const entry = (kind, status, { sequenceNumber, consensusTimestamp }) => ({
+    kind,
+    status,
+    sequenceNumber: sequenceNumber || null,
+    consensusTimestamp: consensusTimestamp || null,
+    mirrorLink: sequenceNumber ? mirrorLink(topicId, sequenceNumber) : null
+  });
+
+  return [
+    entry('attendance', record.status, record),
+    ...(record.checkout ? [entry('checkout', null, record.checkout)] : []),
+    ...(record.presence ? [entry('presence', record.presence.status, record.presence)] : []),
+    ...(record.amendments || []).map(amendment => entry('amendment', amendment.status, amendment))
+  ];
+}
+
+// Helper: Attendance of one card in the sessions that started within [from, to).
+// Hashes are recomputed per session with its salt version. Sessions of the
+// given classes are listed even without a record; other classes only when the
+// card was recorded there (so a bare card UID never reveals enrollment).
+function studentRecords(cardUidHex, rosterClassIds, from, to) {
+  const topicId = resolveTopicIdByType('attendance');
+
+  return classStore.listSessions()
+    .filter(({ session }) => {
+      const start = Date.parse(session.startIso);
+      return start >= from && start < to && start <= Date.now();
+    })
+    .map(({ classId, session }) => {
+      const { sessionSalt, saltVersion } = saltKeyring.saltFor(classId, session.startIso);
+      const uidHash = computeUidHash(cardUidHex, sessionSalt);
+      const record = attendanceStore.get(classId, session.id, uidHash);
+      if (!record && !rosterClassIds.includes(classId)) return null;
+      const anchor = record && sessionBatches.anchorOf(classId, session.id);
+
+      return {
+        classId,
+        session: session.id,
+        startIso: session.startIso,
+        uidHash,
+        saltVersion,
+        recorded: !!record,
+        status: record ? effectiveStatus(record) : null,
+        originalStatus: record?.status || null,
+        topicId,
+        entries: record ? recordEntries(topicId, record) : [],
+        ...(anchor && {
+          anchor: {
+            root: anchor.root,
+            topicId: anchor.topicId,
+            sequenceNumber: anchor.sequenceNumber,
+            consensusTimestamp: anchor.consensusTimestamp,
+            mirrorLink: anchor.sequenceNumber ? mirrorLink(anchor.topicId, anchor.sequenceNumber) : null
+          },
+          proofs: sessionBatches.proofs(classId, session.id, uidHash)
+        })
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(a.startIso) - Date.parse(b.startIso));
+}
+
+// Student/parent self-verification: own attendance records by card UID or
+// verification code, with ledger references to check them on the mirror node.
+// Body: { cardUid | code, from, to } (dates or ISO times; default last 30 days)
+app.post('/verify/attendance', verifyLimits.byIp, (req, res) => {
+  const { cardUid, code } = req.body || {};
+  if (!cardUid === !code) {
+    return res.status(400).json({ error: 'Provide either cardUid or code' });
+  }
+
+  // A date-only "to" includes that whole day
+  const parseTime = (value, endOfDay) => {
+    const time = Date.parse(value);
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 3600 * 1000 : time;
+  };
+  const to = req.body.to ? parseTime(req.body.to, true) : Date.now();
+  const from = req.body.from ? parseTime(req.body.from) : to - 30 * 24 * 3600 * 1000;
+  if (Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+    return res.status(400).json({ error: 'Invalid from/to range' });
+  }
+  if (to - from > VERIFY_MAX_RANGE_DAYS * 24 * 3600 * 1000) {
+    return res.status(400).json({ error: `Range too large (max ${VERIFY_MAX_RANGE_DAYS} days)` });
+  }
+
+  let cardUidHex;
+  let rosterClassIds;
+  let student = null;
+  try {
+    if (code) {
+      student = verificationCodes.resolve(code);
+      const rosterEntry = student && classStore.getRoster(student.classId)?.students
+        .find(s => s.studentId === student.studentId);
+      if (!rosterEntry) {
+        return res.status(404).json({ error: 'Unknown verification code' });
+      }
+      cardUidHex = rosterEntry.cardUidHex;
+      rosterClassIds = [student.classId];
+    } else {
+      // Anyone holding a card can look it up, so only recorded sessions are
+      // listed; the teacher-issued code also lists the class's missed sessions
+      cardUidHex = normalizeCardUid(cardUid);
+      rosterClassIds = [];
+    }
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+
+  const sessions = studentRecords(cardUidHex, rosterClassIds, from, to);
+  res.json({
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    ...(student && { classId: student.classId, studentId: student.studentId }),
+    encrypted: envelopes.enabled,
+    sessions
+  });
+});
+
+// Verification codes: issue (replaces the previous code), list, revoke
+app.post('/admin/verification-codes', authorize(['admin', 'teacher'], { classId: fromBody }), (req, res) => {
+  const { classId, studentId } = req.body || {};
+  const onRoster = classStore.getRoster(classId)?.students.some(s => s.studentId === studentId);
+  if (!onRoster) {
+    return res.status(404).json({ error: `Student ${studentId} not found in ${classId}` });
+  }
+  storeAction(res, () => ({ verificationCode: verificationCodes.issue(classId, studentId) }), 201);
+});
+
+app.get('/admin/verification-codes', authorize(['admin', 'teacher'], { classId: fromQuery }), (req, res) => {
+  res.json({ codes: verificationCodes.list(req.query.classId) });
+});
+
+app.delete('/admin/verification-codes/:classId/:studentId', authorize(['admin', 'teacher'], { classId: fromParams }), (req, res) => {
+  storeAction(res, () => verificationCodes.revoke(req.params.classId, req.params.studentId));
+});
+
+// Local ledger: mirror node compatible message feed, so the dashboard
+// can point VITE_MIRROR_URL at this server when running offline
+if (publisher.readMessages) {
+  app.get('/api/v1/topics/:topicId/messages', (req, res) => {
+    const { topicId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit || '25'), 100);
+    const order = req.query.order === 'desc' ? 'desc' : 'asc';
+    const afterSequence = parseInt(String(req.query.sequencenumber || '').replace(/^gt:/, '')) || 0;
+
+    const messages = publisher.readMessages(topicId, { afterSequence, limit, order });
+    const last = messages[messages.length - 1];
+    const next = order === 'asc' && messages.length === limit
+      ? `/api/v1/topics/${topicId}/messages?limit=${limit}&sequencenumber=gt:${last.sequence_number}`
+      : null;
+
+    res.json({ messages, links: { next } });
+  });
+
+  app.get('/api/v1/topics/:topicId/messages/:sequenceNumber', (req, res) => {
+    const { topicId } = req.params;
+    const sequenceNumber = parseInt(req.params.sequenceNumber);
+    const [msg] = publisher.readMessages(topicId, { afterSequence: sequenceNumber - 1, limit: 1 });
+
+    if (!msg || msg.sequence_number !== sequenceNumber) {
+      return res.status(404).json({ _status: { messages: [{ message: 'Not found' }] } });
+    }
+    res.json(msg);
+  });
+}
+
+outbox.start(parseInt(process.env.OUTBOX_POLL_MS || '2000'));
+
+// Close sessions automatically once they end (AUTO_CLOSE=off to disable)
+const AUTO_CLOSE = process.env.AUTO_CLOSE || 'on';
+if (AUTO_CLOSE !== 'off') {
+  createSessionScheduler({
+    listSessions: () => classStore.listSessions(),
+    closeSession,
+    log: closedSessions,
+    graceMin: parseInt(process.env.AUTO_CLOSE_GRACE_MIN || '10'),
+    lookbackHours: parseInt(process.env.AUTO_CLOSE_LOOKBACK_HOURS || '24')
+  }).start(parseInt(process.env.AUTO_CLOSE_INTERVAL_SEC || '60') * 1000);
+}
+
+// Follow the attendance and telemetry topics into the local index
+// (resumes from the last sequence number; INDEXER=off to disable)
+if (INDEXER !== 'off') {
+  indexer.start(parseInt(process.env.INDEXER_POLL_SEC || '10') * 1000);
+} else {
+  // Still rebuild attendance state once, so closing sessions stays correct
+  attendanceStore.sync(resolveTopicIdByType('attendance'))
+    .then(count => count > 0 && console.log(`🔁 Attendance state synced (${count} ledger messages)`))
+    .catch(error => console.warn('⚠️  Attendance sync failed:', error.message));
+}
 
 app.listen(PORT, () => {
   console.log('═'.repeat(60));
   console.log('🚀 EduAir Enhanced HCS API');
   console.log('═'.repeat(60));
   console.log(`📡 Server: http://localhost:${PORT}`);
-  console.log(`🔐 Privacy: Enabled (hashed UIDs only)`);
+  console.log(`🔐 Privacy: Enabled (hashed UIDs only, salt v${saltKeyring.versions().at(-1).version})`);
   console.log(`📊 Features: Attendance + Telemetry + Noise`);
+  console.log(`⛓️  Ledger: ${publisher.name}`);
+  console.log(`🔏 Payload encryption: ${envelopes.enabled ? 'on (envelopes + commitments)' : 'off (payloads are public)'}`);
+  console.log(`🔑 Device auth: ${DEVICE_AUTH === 'off' ? 'off (ingest is open!)' : 'required'}`);
+  console.log(`🛡️  API auth: ${AUTH_MODE === 'off' ? 'off (admin routes are open!)' : 'required'}`);
+  const { ipPerWindow, devicePerWindow, dailyBudget } = ingestLimits.limits;
+  console.log(`🚦 Ingest limits: ${ipPerWindow || '∞'}/min per IP, ${devicePerWindow || '∞'}/min per device, ${dailyBudget || '∞'} messages/day per device`);
+  const queue = outbox.stats();
+  console.log(`📮 Outbox: ${queue.pending} pending, ${queue.failed} failed`);
+  console.log(`🌳 Attendance anchoring: ${ATTENDANCE_ANCHORING === 'merkle' ? 'Merkle root per session' : 'one message per record'}`);
+  console.log(`⏰ Auto-close: ${AUTO_CLOSE === 'off' ? 'off' : `on (${process.env.AUTO_CLOSE_GRACE_MIN || '10'} min grace)`}`);
+  console.log(`🗂️  Indexer: ${INDEXER === 'off' ? 'off' : `on (every ${process.env.INDEXER_POLL_SEC || '10'}s)`}`);
+  console.log(`🪝 Webhooks: ${webhooks.list().filter(w => w.active).length} active subscriptions`);
+  console.log(`🚨 Alerts: ${alertEngine.listRules().length} rules (channels: ${alertEngine.channelNames.join(', ')})`);
   console.log('');
   console.log('📌 Topics:');
   const config = getTopicConfig();
   console.log(`   Attendance: ${config.attendance || 'Not set'}`);
   console.log(`   Telemetry:  ${config.telemetry || 'Not set'}`);
+  console.log(`   Alerts:     ${config.alerts || 'Not set'}`);
   if (config.dedicated) {
     console.log(`   Mode: Dedicated topics`);
   } else {
@@ -0,0 +1,29 @@
+import { createHmac, randomUUID } from 'crypto';
+
+/**
+ * Build signed request headers for the ingest API.
+ * Signs "<timestamp>.<nonce>.<body>" with the device's HMAC-SHA256 secret.
+ * Returns plain JSON headers when no secret is configured (DEVICE_AUTH=off).
+ * @param {string} body - Exact JSON body that will be sent
+ * @param {string} deviceId - Registered device ID
+ * @param {string} [secret] - Device secret from POST /admin/devices
+ * @returns {object} Fetch headers
+ */
+export function signedHeaders(body, deviceId, secret) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (!secret) return headers;
+
+  const timestamp = Date.now().toString();
+  const nonce = randomUUID();
+  const signature = createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${body}`)
+    .digest('hex');
+
+  return {
+    ...headers,
+    'X-Device-Id': deviceId,
+    'X-Timestamp': timestamp,
+    'X-Nonce': nonce,
+    'X-Signature': signature
+  };
+}
@@ -1,5 +1,6 @@
 import dotenv from 'dotenv';
 import { createHash } from 'crypto';
+import { signedHeaders } from './deviceAuth.js';
 
 dotenv.config();
 
@@ -7,6 +8,9 @@ const API_URL = process.env.API_URL || 'http://localhost:8787';
 const CLASS_ID = process.env.CLASS_ID || 'math-9a';
 const SESSION_ID = process.env.SESSION_ID || '2025-10-01-0900';
 const SESSION_START = process.env.SESSION_START || '2025-10-01T09:00:00+01:00';
+const READER_ID = process.env.READER_ID || 'classroom-reader-001';
+const READER_SECRET = process.env.READER_SECRET;
+const API_TOKEN = process.env.API_TOKEN; // device token, needed when AUTH_MODE=required
 
 // Demo student card UIDs (matches roster.json)
 const STUDENTS = [
@@ -30,23 +34,27 @@ function computeUidHash(uidHex, sessionSalt) {
 
 async function fetchSessionSalt() {
   const url = `${API_URL}/session/salt?classId=${CLASS_ID}&start=${encodeURIComponent(SESSION_START)}`;
-  const response = await fetch(url);
+  const headers = API_TOKEN ? { Authorization: `Bearer ${API_TOKEN}` } : {};
+  const response = await fetch(url, { headers });
   const data = await response.json();
-  return data.sessionSalt;
+  if (!response.ok) throw new Error(`Cannot fetch session salt: ${data.error}`);
+  return data;
 }
 
-async function submitAttendance(uidHash, timestamp) {
+async function submitAttendance(uidHash, saltVersion, timestamp) {
   const payload = {
     classId: CLASS_ID,
     session: SESSION_ID,
     uidHash,
+    saltVersion,
     ts: timestamp
   };
 
+  const body = JSON.stringify(payload);
   const response = await fetch(`${API_URL}/ingest/attendance`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
+    headers: signedHeaders(body, READER_ID, READER_SECRET),
+    body
   });
 
   return response.json();
@@ -64,8 +72,8 @@ async function simulateAttendance() {
   try {
     // Fetch session salt from server
     console.log('\n🔐 Fetching session salt...');
-    const sessionSalt = await fetchSessionSalt();
-    console.log(`✅ Session salt: ${sessionSalt.slice(0, 16)}...`);
+    const { sessionSalt, saltVersion } = await fetchSessionSalt();
+    console.log(`✅ Session salt: ${sessionSalt.slice(0, 16)}... (version ${saltVersion})`);
 
     const sessionStartTime = new Date(SESSION_START).getTime();
     const results = [];
@@ -109,13 +117,19 @@ async function simulateAttendance() {
       console.log(`📱 ${student.name} (${student.id}): Tapping at ${delay}...`);
 
       // Submit attendance
-      const result = await submitAttendance(uidHash, timestamp);
+      const result = await submitAttendance(uidHash, saltVersion, timestamp);
 
       if (result.status === 'success') {
         const status = result.attendanceStatus;
         const icon = status === 'present_on_time' ? '✅' : '⏰';
         console.log(`   ${icon} Recorded as: ${status}`);
         console.log(`   🔗 Consensus: ${result.consensusTimestamp.slice(0, 20)}...`);
+      } else if (result.status === 'queued') {
+        console.log(`   ${result.attendanceStatus === 'present_on_time' ? '✅' : '⏰'} Recorded as: ${result.attendanceStatus}`);
+        console.log(`   📮 Queued for retry: ${result.outboxId}`);
+      } else if (result.status === 'collected') {
+        console.log(`   ${result.attendanceStatus === 'present_on_time' ? '✅' : '⏰'} Recorded as: ${result.attendanceStatus}`);
+        console.log(`   🌳 Anchored at session close (leaf ${result.leafIndex})`);
       } else {
         console.log(`   ❌ Error: ${result.message}`);
       }
@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import { signedHeaders } from './deviceAuth.js';
 
 dotenv.config();
 
@@ -6,6 +7,7 @@ const API_URL = process.env.API_URL || 'http://localhost:8787';
 const CLASS_ID = process.env.CLASS_ID || 'math-9a';
 const SESSION_ID = process.env.SESSION_ID || '2025-10-01-0900';
 const DEVICE_ID = process.env.DEVICE_ID || 'classroom-sensor-001';
+const DEVICE_SECRET = process.env.DEVICE_SECRET;
 const INTERVAL_MS = parseInt(process.env.INTERVAL_MS || '10000'); // 10 seconds
 const RUNTIME_MIN = parseInt(process.env.RUNTIME_MIN || '5'); // 5 minutes
 
@@ -108,10 +110,11 @@ function getCO2Status(ppm) {
 
 async function postTelemetry(payload) {
   try {
+    const body = JSON.stringify(payload);
     const response = await fetch(`${API_URL}/ingest/telemetry`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
+      headers: signedHeaders(body, DEVICE_ID, DEVICE_SECRET),
+      body
     });
 
     return await response.json();
@@ -151,6 +154,8 @@ async function runSimulator() {
 
     if (result.status === 'success') {
       console.log(`   ✅ Published to HCS: ${result.consensusTimestamp.slice(0, 20)}...`);
+    } else if (result.status === 'queued') {
+      console.log(`   📮 Queued for retry: ${result.outboxId}`);
     } else {
       console.log(`   ❌ Error: ${result.message}`);
     }
@@ -86,8 +86,7 @@ checkExists('web/src/components/TelemetryPanel.jsx', 'TelemetryPanel (6 sensors)
 
 if (checkExists('web/.env', 'web/.env')) {
   console.log('');
-  checkEnvVar('web/.env', 'VITE_TOPIC_ID_ATTENDANCE', 'web');
-  checkEnvVar('web/.env', 'VITE_TOPIC_ID_TELEMETRY', 'web');
+  checkEnvVar('web/.env', 'VITE_API_URL', 'web');
 }
 
 // Check enhanced simulator files
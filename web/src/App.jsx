@@ -3,6 +3,8 @@ import { connectWallet, sendTip, ensureHederaNetwork } from './lib/eth';
 import AttendanceView from './components/AttendanceView';
 import NoiseChart from './components/NoiseChart';
 import TelemetryPanel from './components/TelemetryPanel';
+import VerifyView from './components/VerifyView';
+import { DEFAULT_API_URL } from './lib/api';
 
 function App() {
   const [activeTab, setActiveTab] = useState('telemetry');
@@ -10,24 +12,21 @@ function App() {
   const [status, setStatus] = useState('');
   const [loading, setLoading] = useState(false);
 
-  // Topic IDs (with localStorage persistence)
-  const [topicIdAttendance, setTopicIdAttendance] = useState(
-    localStorage.getItem('topicIdAttendance') || import.meta.env.VITE_TOPIC_ID_ATTENDANCE || ''
-  );
-  const [topicIdTelemetry, setTopicIdTelemetry] = useState(
-    localStorage.getItem('topicIdTelemetry') || import.meta.env.VITE_TOPIC_ID_TELEMETRY || ''
-  );
+  // Server API settings (with localStorage persistence)
+  const [apiUrl, setApiUrl] = useState(localStorage.getItem('apiUrl') || DEFAULT_API_URL);
+  const [apiToken, setApiToken] = useState(localStorage.getItem('apiToken') || '');
 
   const mirrorUrl = import.meta.env.VITE_MIRROR_URL || 'https://testnet.mirrornode.hedera.com';
 
   // Save to localStorage when changed
   useEffect(() => {
-    if (topicIdAttendance) localStorage.setItem('topicIdAttendance', topicIdAttendance);
-  }, [topicIdAttendance]);
+    if (apiUrl) localStorage.setItem('apiUrl', apiUrl);
+  }, [apiUrl]);
 
   useEffect(() => {
-    if (topicIdTelemetry) localStorage.setItem('topicIdTelemetry', topicIdTelemetry);
-  }, [topicIdTelemetry]);
+    if (apiToken) localStorage.setItem('apiToken', apiToken);
+    else localStorage.removeItem('apiToken');
+  }, [apiToken]);
 
   const handleConnect = async () => {
     try {
@@ -61,6 +60,7 @@ function App() {
     { id: 'telemetry', label: '📊 Telemetry', icon: '🌡️' },
     { id: 'noise', label: '🔊 Noise', icon: '📢' },
     { id: 'attendance', label: '👥 Attendance', icon: '✅' },
+    { id: 'verify', label: '🔎 Verify', icon: '🧾' },
     { id: 'settings', label: '⚙️ Settings', icon: '🔧' }
   ];
 
@@ -152,69 +152,73 @@ function App() {
         }}>
           {activeTab === 'telemetry' && (
             <TelemetryPanel 
-              topicId={topicIdTelemetry} 
-              mirrorUrl={mirrorUrl}
+              apiUrl={apiUrl} 
+              apiToken={apiToken}
             />
           )}
 
           {activeTab === 'noise' && (
             <NoiseChart 
-              topicId={topicIdTelemetry} 
-              mirrorUrl={mirrorUrl}
+              apiUrl={apiUrl} 
+              apiToken={apiToken}
             />
           )}
 
           {activeTab === 'attendance' && (
             <AttendanceView 
-              topicId={topicIdAttendance} 
-              mirrorUrl={mirrorUrl}
+              apiUrl={apiUrl} 
+              apiToken={apiToken}
             />
           )}
 
+          {activeTab === 'verify' && (
+            <VerifyView apiUrl={apiUrl} />
+          )}
+
           {activeTab === 'settings' && (
             <div style={{ padding: '20px' }}>
               <h2>⚙️ Settings</h2>
               <p style={{ color: '#666', marginBottom: '30px' }}>
-                Configure topic IDs and connection settings
+                Configure the EduAir server connection
               </p>
 
               <div style={{ maxWidth: '600px' }}>
                 <div style={{ marginBottom: '25px' }}>
                   <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '8px' }}>
-                    📡 Attendance Topic ID
+                    🖥️ Server API URL
                   </label>
                   <input
                     type="text"
-                    value={topicIdAttendance}
-                    onChange={(e) => setTopicIdAttendance(e.target.value)}
-                    placeholder="0.0.xxxxx"
+                    value={apiUrl}
+                    onChange={(e) => setApiUrl(e.target.value)}
+                    placeholder="http://localhost:8787"
                     style={{ width: '100%', padding: '12px', fontSize: '14px' }}
                   />
                   <div style={{ fontSize: '12px', color: '#64748b', marginTop: '5px' }}>
-                    HCS topic for attendance events
+                    EduAir server that indexes the attendance and telemetry topics
                   </div>
                 </div>
 
                 <div style={{ marginBottom: '25px' }}>
                   <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '8px' }}>
-                    📊 Telemetry Topic ID
+                    🔑 API Token
                   </label>
                   <input
-                    type="text"
-                    value={topicIdTelemetry}
-                    onChange={(e) => setTopicIdTelemetry(e.target.value)}
-                    placeholder="0.0.yyyyy"
+                    type="password"
+                    value={apiToken}
+                    onChange={(e) => setApiToken(e.target.value)}
+                    placeholder="Bearer token (only when AUTH_MODE is enabled)"
                     style={{ width: '100%', padding: '12px', fontSize: '14px' }}
                   />
                   <div style={{ fontSize: '12px', color: '#64748b', marginTop: '5px' }}>
-                    HCS topic for sensor telemetry and noise
+                    Teacher or admin token for the attendance and telemetry queries
                   </div>
                 </div>
 
                 <div style={{ padding: '15px', background: '#f0f9ff', borderRadius: '8px', border: '1px solid #bae6fd' }}>
                   <strong style={{ color: '#0369a1' }}>💡 Tip:</strong>
                   <p style={{ margin: '5px 0 0 0', color: '#075985', fontSize: '14px' }}>
-                    Topic IDs are saved to localStorage. Use dedicated topics for better organization, or use the same topic ID for both (messages will include a "type" field).
+                    Settings are saved to localStorage. The server follows the HCS topics through the mirror node, so older sessions stay available no matter how many messages were published since.
                   </p>
                 </div>
 
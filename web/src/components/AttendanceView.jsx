@@ -1,74 +1,88 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
+import { apiGet } from '../lib/api';
+import { useLiveUpdates } from '../lib/stream';
+
+// Arrival, check-out, end-of-session presence and amendment messages
+const ATTENDANCE_TYPES = ['attendance', 'attendance_checkout', 'attendance_presence', 'attendance_amendment'];
+
+// Map indexed records (effective status, check-out, presence, amendments) to table rows
+function buildRows(records) {
+  return records.map(record => ({
+    uidHash: record.uidHash,
+    status: record.status,
+    originalStatus: record.originalStatus,
+    sequenceNumber: record.sequenceNumber,
+    ts: record.ts,
+    minutesLate: record.minutesLate,
+    consensusTimestamp: record.consensusTimestamp,
+    presence: record.presence?.status,
+    departureTs: record.presence?.departureTs ?? record.checkout?.ts,
+    minutesPresent: record.presence?.minutesPresent ?? record.checkout?.minutesPresent,
+    history: record.amendments.map(amendment => ({
+      from: amendment.previousStatus,
+      to: amendment.status,
+      reasonCode: amendment.reasonCode,
+      note: amendment.note,
+      amendedBy: amendment.amendedBy,
+      ts: amendment.ts
+    }))
+  }));
+}
 
-function AttendanceView({ topicId, mirrorUrl }) {
-  const [messages, setMessages] = useState([]);
+function AttendanceView({ apiUrl, apiToken }) {
+  const [records, setRecords] = useState([]);
   const [classId, setClassId] = useState('math-9a');
   const [sessionId, setSessionId] = useState('2025-10-01-0900');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
   const fetchAttendance = async () => {
-    if (!topicId) {
-      setError('No topic ID configured');
-      return;
-    }
+    if (!classId || !sessionId) return;
 
     setLoading(true);
     setError(null);
 
     try {
-      const url = `${mirrorUrl}/api/v1/topics/${topicId}/messages?limit=200&order=desc`;
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`Mirror Node error: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      
-      const decoded = data.messages.map(msg => {
-        try {
-          const text = Buffer.from(msg.message, 'base64').toString('utf-8');
-          const parsed = JSON.parse(text);
-          return {
-            ...parsed,
-            consensusTimestamp: msg.consensus_timestamp,
-            sequenceNumber: msg.sequence_number
-          };
-        } catch (e) {
-          return null;
-        }
-      }).filter(m => m && m.type === 'attendance');
-
-      setMessages(decoded);
+      const path = `/attendance/${encodeURIComponent(classId)}/${encodeURIComponent(sessionId)}`;
+      const data = await apiGet(apiUrl, path, apiToken);
+      setRecords(data.records);
     } catch (err) {
+      setRecords([]);
       setError(err.message);
     } finally {
       setLoading(false);
     }
   };
 
-  useEffect(() => {
-    fetchAttendance();
-    const interval = setInterval(fetchAttendance, 15000); // Refresh every 15s
-    return () => clearInterval(interval);
-  }, [topicId, mirrorUrl]);
+  // Reload the session when one of its records is pushed
+  // (polls every 15s only while the stream is unavailable)
+  useLiveUpdates({
+    apiUrl,
+    apiToken,
+    classId,
+    types: ATTENDANCE_TYPES,
+    refresh: fetchAttendance,
+    refreshKey: sessionId,
+    onEvent: event => {
+      if (event.session === sessionId) fetchAttendance();
+    }
+  });
 
-  // Filter messages by class and session
-  const filtered = messages.filter(m => 
-    m.classId === classId && m.session === sessionId
-  );
+  const filtered = buildRows(records);
 
   // Calculate stats
   const onTime = filtered.filter(m => m.status === 'present_on_time').length;
-  const late = filtered.filter(m => m.status === 'late').length;
-  const absent = filtered.filter(m => m.status === 'absent_marked').length;
+  const late = filtered.filter(m => m.status === 'late' || m.status === 'very_late').length;
+  const absent = filtered.filter(m => m.status === 'absent_marked' || m.status === 'excused_absence').length;
+  const leftEarly = filtered.filter(m => m.presence === 'left_early').length;
 
   const getStatusColor = (status) => {
     switch (status) {
       case 'present_on_time': return '#4ade80';
       case 'late': return '#fbbf24';
+      case 'very_late': return '#f97316';
       case 'absent_marked': return '#f87171';
+      case 'excused_absence': return '#60a5fa';
       default: return '#94a3b8';
     }
   };
@@ -77,7 +91,9 @@ function AttendanceView({ topicId, mirrorUrl }) {
     switch (status) {
       case 'present_on_time': return '✅';
       case 'late': return '⏰';
+      case 'very_late': return '🐢';
       case 'absent_marked': return '❌';
+      case 'excused_absence': return '📝';
       default: return '❓';
     }
   };
@@ -142,6 +158,10 @@ function AttendanceView({ topicId, mirrorUrl }) {
           <div style={{ fontSize: '32px', fontWeight: 'bold', color: '#dc2626' }}>{absent}</div>
           <div style={{ color: '#b91c1c', marginTop: '5px' }}>❌ Absent</div>
         </div>
+        <div style={{ background: '#ffedd5', padding: '20px', borderRadius: '8px', border: '2px solid #fdba74' }}>
+          <div style={{ fontSize: '32px', fontWeight: 'bold', color: '#ea580c' }}>{leftEarly}</div>
+          <div style={{ color: '#c2410c', marginTop: '5px' }}>🚪 Left Early</div>
+        </div>
         <div style={{ background: '#f1f5f9', padding: '20px', borderRadius: '8px', border: '2px solid #cbd5e1' }}>
           <div style={{ fontSize: '32px', fontWeight: 'bold', color: '#475569' }}>{filtered.length}</div>
           <div style={{ color: '#334155', marginTop: '5px' }}>📊 Total</div>
@@ -155,14 +175,16 @@ function AttendanceView({ topicId, mirrorUrl }) {
             <tr style={{ background: '#f8fafc', borderBottom: '2px solid #e2e8f0' }}>
               <th style={{ padding: '12px', textAlign: 'left' }}>Status</th>
               <th style={{ padding: '12px', textAlign: 'left' }}>UID Hash</th>
-              <th style={{ padding: '12px', textAlign: 'left' }}>Time</th>
+              <th style={{ padding: '12px', textAlign: 'left' }}>Arrival</th>
+              <th style={{ padding: '12px', textAlign: 'left' }}>Departure</th>
+              <th style={{ padding: '12px', textAlign: 'left' }}>Minutes</th>
               <th style={{ padding: '12px', textAlign: 'left' }}>Consensus</th>
             </tr>
           </thead>
           <tbody>
             {filtered.length === 0 ? (
               <tr>
-                <td colSpan="4" style={{ padding: '40px', textAlign: 'center', color: '#94a3b8' }}>
+                <td colSpan="6" style={{ padding: '40px', textAlign: 'center', color: '#94a3b8' }}>
                   {loading ? 'Loading attendance data...' : 'No attendance records found for this class/session'}
                 </td>
               </tr>
@@ -181,15 +203,36 @@ function AttendanceView({ topicId, mirrorUrl }) {
                     }}>
                       {getStatusIcon(msg.status)} {msg.status.replace(/_/g, ' ')}
                     </span>
+                    {msg.presence === 'left_early' && (
+                      <span style={{ marginLeft: '6px', color: '#ea580c', fontSize: '13px', fontWeight: 'bold' }}>
+                        🚪 left early
+                      </span>
+                    )}
+                    {msg.history.map((change, i) => (
+                      <div key={i} style={{ marginTop: '4px', fontSize: '12px', color: '#64748b' }}>
+                        ✏️ {change.from.replace(/_/g, ' ')} → {change.to.replace(/_/g, ' ')}
+                        {' '}({change.reasonCode.replace(/_/g, ' ')}, {change.amendedBy}, {new Date(change.ts).toLocaleString()})
+                        {change.note && <em> “{change.note}”</em>}
+                      </div>
+                    ))}
                   </td>
                   <td style={{ padding: '12px', fontFamily: 'monospace', fontSize: '12px', color: '#64748b' }}>
                     {msg.uidHash.slice(0, 10)}...{msg.uidHash.slice(-8)}
                   </td>
                   <td style={{ padding: '12px', fontSize: '14px' }}>
                     {new Date(msg.ts).toLocaleTimeString()}
+                    {msg.minutesLate > 0 && (
+                      <span style={{ color: '#94a3b8', fontSize: '12px' }}> (+{msg.minutesLate} min)</span>
+                    )}
+                  </td>
+                  <td style={{ padding: '12px', fontSize: '14px' }}>
+                    {msg.departureTs ? new Date(msg.departureTs).toLocaleTimeString() : '—'}
+                  </td>
+                  <td style={{ padding: '12px', fontSize: '14px' }}>
+                    {msg.minutesPresent != null ? `${msg.minutesPresent} min` : '—'}
                   </td>
                   <td style={{ padding: '12px', fontSize: '12px', color: '#94a3b8', fontFamily: 'monospace' }}>
-                    {msg.consensusTimestamp.slice(0, 19)}...
+                    {msg.consensusTimestamp ? `${msg.consensusTimestamp.slice(0, 19)}...` : 'pending'}
                   </td>
                 </tr>
               ))
@@ -1,39 +1,30 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { apiGet } from '../lib/api';
+import { useLiveUpdates } from '../lib/stream';
 
-function NoiseChart({ topicId, mirrorUrl }) {
+const TELEMETRY_TYPES = ['telemetry', 'telemetry_batch'];
+
+const toPoint = reading => ({
+  time: new Date(reading.ts).toLocaleTimeString(),
+  noiseDb: reading.sensors.noiseDb,
+  ts: reading.ts
+});
+
+function NoiseChart({ apiUrl, apiToken }) {
   const [data, setData] = useState([]);
   const [loading, setLoading] = useState(false);
 
   const fetchNoiseData = async () => {
-    if (!topicId) return;
-
     setLoading(true);
 
     try {
-      const url = `${mirrorUrl}/api/v1/topics/${topicId}/messages?limit=100&order=desc`;
-      const response = await fetch(url);
-      const result = await response.json();
-
-      const telemetry = result.messages
-        .map(msg => {
-          try {
-            const text = Buffer.from(msg.message, 'base64').toString('utf-8');
-            const parsed = JSON.parse(text);
-            if (parsed.type === 'telemetry' && parsed.sensors?.noiseDb) {
-              return {
-                time: new Date(parsed.ts).toLocaleTimeString(),
-                noiseDb: parsed.sensors.noiseDb,
-                ts: parsed.ts
-              };
-            }
-            return null;
-          } catch (e) {
-            return null;
-          }
-        })
-        .filter(Boolean)
-        .reverse()
+      const from = Date.now() - 3600000; // Last hour
+      const result = await apiGet(apiUrl, `/telemetry?from=${from}`, apiToken);
+
+      const telemetry = result.readings
+        .filter(reading => reading.sensors.noiseDb)
+        .map(toPoint)
         .slice(-30); // Last 30 readings
 
       setData(telemetry);
@@ -44,11 +35,21 @@ function NoiseChart({ topicId, mirrorUrl }) {
     }
   };
 
-  useEffect(() => {
-    fetchNoiseData();
-    const interval = setInterval(fetchNoiseData, 12000);
-    return () => clearInterval(interval);
-  }, [topicId]);
+  // Append pushed readings (polls only while the stream is unavailable)
+  useLiveUpdates({
+    apiUrl,
+    apiToken,
+    types: TELEMETRY_TYPES,
+    refresh: fetchNoiseData,
+    pollMs: 12000,
+    onEvent: event => {
+      if (event.stage !== 'accepted') return;
+      const readings = event.type === 'telemetry_batch' ? event.readings : [event];
+      const points = readings.filter(reading => reading.sensors.noiseDb).map(toPoint);
+      if (points.length === 0) return;
+      setData(current => [...current, ...points].sort((a, b) => a.ts - b.ts).slice(-30));
+    }
+  });
 
   const getNoiseLevel = (db) => {
     if (db < 50) return { label: 'Very Quiet', color: '#10b981', bg: '#d1fae5' };
@@ -1,31 +1,22 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
+import { apiGet } from '../lib/api';
+import { useLiveUpdates } from '../lib/stream';
 
-function TelemetryPanel({ topicId, mirrorUrl }) {
+const TELEMETRY_TYPES = ['telemetry', 'telemetry_batch'];
+
+function TelemetryPanel({ apiUrl, apiToken }) {
   const [latest, setLatest] = useState(null);
   const [loading, setLoading] = useState(false);
 
   const fetchLatest = async () => {
-    if (!topicId) return;
-
     setLoading(true);
 
     try {
-      const url = `${mirrorUrl}/api/v1/topics/${topicId}/messages?limit=20&order=desc`;
-      const response = await fetch(url);
-      const result = await response.json();
-
-      // Find most recent telemetry message
-      for (const msg of result.messages) {
-        try {
-          const text = Buffer.from(msg.message, 'base64').toString('utf-8');
-          const parsed = JSON.parse(text);
-          if (parsed.type === 'telemetry' && parsed.sensors) {
-            setLatest(parsed);
-            break;
-          }
-        } catch (e) {
-          continue;
-        }
+      // Most recent indexed reading from the last hour
+      const from = Date.now() - 3600000;
+      const result = await apiGet(apiUrl, `/telemetry?from=${from}&limit=1`, apiToken);
+      if (result.readings.length > 0) {
+        setLatest(result.readings[result.readings.length - 1]);
       }
     } catch (error) {
       console.error('Error fetching telemetry:', error);
@@ -34,11 +25,20 @@ function TelemetryPanel({ topicId, mirrorUrl }) {
     }
   };
 
-  useEffect(() => {
-    fetchLatest();
-    const interval = setInterval(fetchLatest, 10000);
-    return () => clearInterval(interval);
-  }, [topicId]);
+  // Show pushed readings right away (polls only while the stream is unavailable)
+  useLiveUpdates({
+    apiUrl,
+    apiToken,
+    types: TELEMETRY_TYPES,
+    refresh: fetchLatest,
+    pollMs: 10000,
+    onEvent: event => {
+      if (event.stage !== 'accepted') return;
+      const readings = event.type === 'telemetry_batch' ? event.readings : [event];
+      const newest = readings.reduce((a, b) => (b.ts > a.ts ? b : a));
+      setLatest(current => (!current || newest.ts >= current.ts ? newest : current));
+    }
+  });
 
   const getSensorStatus = (key, value) => {
     switch (key) {
@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { apiPost } from '../lib/api';
+
+const DAY_MS = 24 * 3600 * 1000;
+const isoDate = ms => new Date(ms).toISOString().slice(0, 10);
+
+const STATUS_LABELS = {
+  present_on_time: '✅ present on time',
+  late: '⏰ late',
+  very_late: '🐢 very late',
+  absent_marked: '❌ absent',
+  excused_absence: '📝 excused absence',
+  left_early: '🚪 left early',
+  present: '✅ present'
+};
+
+const statusLabel = status => STATUS_LABELS[status] || (status ? status.replace(/_/g, ' ') : '—');
+
+// Local ledgers serve mirror-style links relative to the API server
+const absoluteLink = (apiUrl, link) => (link.startsWith('/') ? `${apiUrl}${link}` : link);
+
+function VerifyView({ apiUrl }) {
+  const [mode, setMode] = useState('code');
+  const [value, setValue] = useState('');
+  const [from, setFrom] = useState(isoDate(Date.now() - 30 * DAY_MS));
+  const [to, setTo] = useState(isoDate(Date.now()));
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    if (!value.trim()) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const body = { [mode === 'code' ? 'code' : 'cardUid']: value.trim(), from, to };
+      setResult(await apiPost(apiUrl, '/verify/attendance', body));
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div style={{ padding: '20px' }}>
+      <h2>🔎 Verify My Attendance</h2>
+      <p style={{ color: '#666', marginBottom: '20px' }}>
+        Students and parents: enter your verification code (or card number) to see your records and check them on the public ledger
+      </p>
+
+      <form onSubmit={handleVerify} style={{ display: 'flex', gap: '15px', marginBottom: '20px', flexWrap: 'wrap' }}>
+        <div>
+          <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '5px' }}>
+            Identify with
+          </label>
+          <select value={mode} onChange={(e) => setMode(e.target.value)} style={{ padding: '8px' }}>
+            <option value="code">Verification code</option>
+            <option value="card">Card UID</option>
+          </select>
+        </div>
+        <div>
+          <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '5px' }}>
+            {mode === 'code' ? 'Code' : 'Card UID'}
+          </label>
+          <input
+            type={mode === 'code' ? 'text' : 'password'}
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder={mode === 'code' ? 'ABCD-EFGH-JKMN' : '04AABBCCDD'}
+            autoComplete="off"
+            style={{ padding: '8px', width: '200px', fontFamily: 'monospace' }}
+          />
+        </div>
+        <div>
+          <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '5px' }}>
+            From
+          </label>
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} style={{ padding: '8px' }} />
+        </div>
+        <div>
+          <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '5px' }}>
+            To
+          </label>
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} style={{ padding: '8px' }} />
+        </div>
+        <div style={{ display: 'flex', alignItems: 'flex-end' }}>
+          <button type="submit" disabled={loading || !value.trim()} style={{ padding: '8px 16px' }}>
+            {loading ? '⏳ Checking...' : '🔎 Verify'}
+          </button>
+        </div>
+      </form>
+
+      {error && (
+        <div style={{ padding: '10px', background: '#fee', color: '#c00', borderRadius: '5px', marginBottom: '20px' }}>
+          ❌ {error}
+        </div>
+      )}
+
+      {result && (
+        <div style={{ background: '#fff', borderRadius: '8px', boxShadow: '0 2px 4px rgba(0,0,0,0.1)', overflow: 'hidden' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f8fafc', borderBottom: '2px solid #e2e8f0' }}>
+                <th style={{ padding: '12px', textAlign: 'left' }}>Session</th>
+                <th style={{ padding: '12px', textAlign: 'left' }}>Status</th>
+                <th style={{ padding: '12px', textAlign: 'left' }}>Ledger Records</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.sessions.length === 0 ? (
+                <tr>
+                  <td colSpan="3" style={{ padding: '40px', textAlign: 'center', color: '#94a3b8' }}>
+                    No sessions found in this date range
+                  </td>
+                </tr>
+              ) : (
+                result.sessions.map(session => (
+                  <tr key={`${session.classId}/${session.session}`} style={{ borderBottom: '1px solid #f1f5f9' }}>
+                    <td style={{ padding: '12px', fontSize: '14px' }}>
+                      <strong>{session.classId}</strong>
+                      <div style={{ color: '#64748b', fontSize: '12px' }}>{new Date(session.startIso).toLocaleString()}</div>
+                    </td>
+                    <td style={{ padding: '12px', fontSize: '14px' }}>
+                      {session.recorded ? statusLabel(session.status) : <span style={{ color: '#94a3b8' }}>no record</span>}
+                      {session.originalStatus && session.originalStatus !== session.status && (
+                        <div style={{ color: '#64748b', fontSize: '12px' }}>
+                          ✏️ amended from {statusLabel(session.originalStatus)}
+                        </div>
+                      )}
+                    </td>
+                    <td style={{ padding: '12px', fontSize: '12px', fontFamily: 'monospace' }}>
+                      {session.entries.map((entry, i) => (
+                        <div key={i} style={{ marginBottom: '4px' }}>
+                          {entry.kind}{entry.status && ` (${entry.status.replace(/_/g, ' ')})`}:{' '}
+                          {entry.sequenceNumber ? (
+                            <a href={absoluteLink(apiUrl, entry.mirrorLink)} target="_blank" rel="noreferrer">
+                              {session.topicId} #{entry.sequenceNumber} @ {entry.consensusTimestamp}
+                            </a>
+                          ) : (
+                            <span style={{ color: '#94a3b8' }}>{session.anchor ? 'in session anchor' : 'pending'}</span>
+                          )}
+                        </div>
+                      ))}
+                      {session.anchor && (
+                        <div style={{ marginBottom: '4px' }}>
+                          🌳 Merkle root {session.anchor.root.slice(0, 12)}... ({session.proofs.length} proof{session.proofs.length === 1 ? '' : 's'}):{' '}
+                          {session.anchor.sequenceNumber ? (
+                            <a href={absoluteLink(apiUrl, session.anchor.mirrorLink)} target="_blank" rel="noreferrer">
+                              {session.anchor.topicId} #{session.anchor.sequenceNumber} @ {session.anchor.consensusTimestamp}
+                            </a>
+                          ) : (
+                            <span style={{ color: '#94a3b8' }}>pending</span>
+                          )}
+                        </div>
+                      )}
+                      {session.recorded && (
+                        <div style={{ color: '#94a3b8' }}>hash {session.uidHash.slice(0, 10)}...{session.uidHash.slice(-8)}</div>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{ marginTop: '20px', padding: '15px', background: '#f0f9ff', borderRadius: '8px', border: '1px solid #bae6fd' }}>
+        <strong style={{ color: '#0369a1' }}>🔒 How this works:</strong>
+        <p style={{ margin: '5px 0 0 0', color: '#075985', fontSize: '14px' }}>
+          The server recomputes the hash of your card for each session and looks it up on the ledger. Each link opens the
+          published message on the mirror node, where the hash, status and consensus timestamp can be checked independently.
+          {result?.encrypted && ' Payloads are encrypted on this ledger; ask the school for an opening to check the plaintext.'}
+          {result?.sessions.some(s => s.anchor) && ' Sessions anchored as a Merkle root come with an inclusion proof for each of your records.'}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyView;
@@ -0,0 +1,31 @@
+// EduAir server query API (indexed attendance and telemetry)
+export const DEFAULT_API_URL = import.meta.env.VITE_API_URL || 'http://localhost:8787';
+
+export async function apiGet(apiUrl, path, token) {
+  const response = await fetch(`${apiUrl}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `API error: ${response.statusText}`);
+  }
+  return data;
+}
+
+export async function apiPost(apiUrl, path, body, token) {
+  const response = await fetch(`${apiUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `API error: ${response.statusText}`);
+  }
+  return data;
+}
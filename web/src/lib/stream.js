@@ -0,0 +1,69 @@
+import { useEffect, useRef } from 'react';
+
+// Build the server's Server-Sent Events URL (EventSource cannot send headers,
+// so the API token goes in the query string)
+function streamUrl(apiUrl, token, { classId, types }) {
+  const params = new URLSearchParams();
+  if (classId) params.set('classId', classId);
+  if (types) params.set('types', types.join(','));
+  if (token) params.set('access_token', token);
+  return `${apiUrl}/stream?${params}`;
+}
+
+// Subscribe to the live event stream, falling back to polling while it is unavailable.
+// `refresh` loads the full state (on mount, when `refreshKey` changes, on every
+// reconnect and when polling); `onEvent` receives each pushed event
+// ({ stage: "accepted" | "confirmed", type, ... }).
+export function useLiveUpdates({ apiUrl, apiToken, classId, types, refresh, refreshKey, onEvent, pollMs = 15000 }) {
+  // Keep the latest callbacks without reopening the stream on every render
+  const handlers = useRef({ refresh, onEvent });
+  handlers.current = { refresh, onEvent };
+
+  useEffect(() => {
+    handlers.current.refresh();
+  }, [apiUrl, apiToken, classId, refreshKey]);
+
+  useEffect(() => {
+    let pollTimer = null;
+    let source = null;
+
+    const startPolling = () => {
+      if (!pollTimer) pollTimer = setInterval(() => handlers.current.refresh(), pollMs);
+    };
+    const stopPolling = () => {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    };
+
+    if (typeof EventSource === 'undefined') {
+      startPolling();
+    } else {
+      source = new EventSource(streamUrl(apiUrl, apiToken, { classId, types }));
+
+      const handle = message => {
+        try {
+          handlers.current.onEvent?.(JSON.parse(message.data));
+        } catch (e) {
+          console.warn('Failed to parse stream event:', e);
+        }
+      };
+      source.addEventListener('accepted', handle);
+      source.addEventListener('confirmed', handle);
+
+      source.onopen = () => {
+        // Catch up with anything missed while disconnected, then rely on pushes
+        if (pollTimer) handlers.current.refresh();
+        stopPolling();
+      };
+      source.onerror = () => {
+        // EventSource keeps reconnecting on its own; poll in the meantime
+        startPolling();
+      };
+    }
+
+    return () => {
+      stopPolling();
+      source?.close();
+    };
+  }, [apiUrl, apiToken, classId, types?.join(','), pollMs]);
+}